@@ -18,10 +18,11 @@ const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
 browserAPI.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.action === "DOWNLOAD_ATTACHMENTS") {
     console.log("[ilovegcr] Received download request for", message.attachments.length, "files");
-    handleDownloadRequest(message.attachments, message.assignmentName)
+    let jobId = null;
+    handleDownloadRequest(message.attachments, message.assignmentName, message.options, (job) => { jobId = job.id; })
       .then((results) => {
         console.log("[ilovegcr] Download request completed successfully");
-        sendResponse({ success: true, results });
+        sendResponse({ success: true, jobId, results });
       })
       .catch((error) => {
         console.error("[ilovegcr] Download request failed:", error);
@@ -31,29 +32,489 @@ browserAPI.runtime.onMessage.addListener((message, sender, sendResponse) => {
     
     // Return true to indicate async response
     return true;
-  } else if (message.action === "GET_DOWNLOAD_PATH") {
-    getDownloadPath()
-      .then((path) => {
-        console.log("[ilovegcr] Retrieved download path:", path);
-        sendResponse({ path });
-      })
+  } else if (message.action === "GET_SETTINGS") {
+    getSettings()
+      .then((settings) => sendResponse({ settings, exportFormatChoices: EXPORT_FORMATS }))
+      .catch((error) => {
+        console.error("[ilovegcr] Failed to get settings:", error);
+        sendResponse({ settings: { ...DEFAULT_SETTINGS } });
+      });
+    return true;
+  } else if (message.action === "UPDATE_SETTINGS") {
+    updateSettings(message.settings)
+      .then((settings) => sendResponse({ success: true, settings }))
+      .catch((error) => {
+        console.error("[ilovegcr] Failed to update settings:", error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  } else if (message.action === "LIST_DRIVE_FOLDER") {
+    listDriveFolder(message.url, message.account)
+      .then((listing) => sendResponse({ success: true, ...listing }))
+      .catch((error) => {
+        console.error("[ilovegcr] Failed to list Drive folder:", error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  } else if (message.action === "GET_FILE_SIZE") {
+    probeFileSize(message.attachment)
+      .then((size) => sendResponse({ success: true, size }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (message.action === "PLAN_FILENAMES") {
+    previewFilenames(message.attachments)
+      .then((plan) => sendResponse({ success: true, plan }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (message.action === "PAGE_SCAN_UPDATED") {
+    if (sender.tab) updateBadge(sender.tab.id, message.count);
+    return false;
+  } else if (message.action === "GET_HISTORY") {
+    loadHistory()
+      .then((history) => sendResponse({ success: true, history }))
+      .catch((error) => {
+        console.error("[ilovegcr] Failed to load history:", error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  } else if (message.action === "REDOWNLOAD_HISTORY") {
+    redownloadHistoryEntry(message.id)
+      .then((results) => sendResponse({ success: true, results }))
       .catch((error) => {
-        console.error("[ilovegcr] Failed to get download path:", error);
-        sendResponse({ path: "Downloads" });
+        console.error("[ilovegcr] Re-download failed:", error);
+        sendResponse({ success: false, error: error.message });
       });
     return true;
-  } else if (message.action === "SET_DOWNLOAD_PATH") {
-    console.log("[ilovegcr] Setting download path to:", message.path);
-    setDownloadPath(message.path)
+  } else if (message.action === "SHOW_HISTORY_FILE") {
+    showHistoryFile(message.id)
+      .then(() => sendResponse({ success: true }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (message.action === "CLEAR_HISTORY") {
+    clearHistory()
       .then(() => sendResponse({ success: true }))
       .catch((error) => {
-        console.error("[ilovegcr] Failed to set download path:", error);
+        console.error("[ilovegcr] Failed to clear history:", error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  } else if (message.action === "GET_COURSE_WATCH") {
+    getWatchedCourses()
+      .then((courses) => sendResponse({ success: true, watch: courses[getCourseId(message.url)] || null }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (message.action === "SET_COURSE_WATCH") {
+    setCourseWatch(message.url, message.courseName, message.schedule)
+      .then((watch) => sendResponse({ success: true, watch }))
+      .catch((error) => {
+        console.error("[ilovegcr] Failed to update course watch:", error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  } else if (message.action === "SYNC_COURSE_NOW") {
+    syncWatchedCourse(getCourseId(message.url))
+      .then((summary) => sendResponse({ success: true, summary }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (message.action === "EXPORT_SETTINGS") {
+    exportSettings()
+      .then((data) => sendResponse({ success: true, data }))
+      .catch((error) => {
+        console.error("[ilovegcr] Failed to export settings:", error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  } else if (message.action === "IMPORT_SETTINGS") {
+    importSettings(message.data)
+      .then((settings) => sendResponse({ success: true, settings }))
+      .catch((error) => {
+        console.error("[ilovegcr] Failed to import settings:", error);
         sendResponse({ success: false, error: error.message });
       });
     return true;
   }
 });
 
+/**
+ * Stream job progress to popups over a long-lived port
+ */
+browserAPI.runtime.onConnect.addListener((port) => {
+  if (port.name !== PROGRESS_PORT_NAME) return;
+  
+  progressPorts.add(port);
+  port.onDisconnect.addListener(() => progressPorts.delete(port));
+  
+  jobsRestored.then(() => {
+    port.postMessage({ type: "JOBS_SNAPSHOT", jobs: [...jobs.values()] });
+  });
+});
+
+/**
+ * Follow Chrome's own download state so "completed" means the file is on disk
+ */
+browserAPI.downloads.onChanged.addListener(async (delta) => {
+  await jobsRestored;
+  if (!delta.state) return;
+  
+  // A running request waits on this download itself and decides whether to retry
+  if (downloadWaiters.has(delta.id)) {
+    settleDownload(delta.id, delta.state.current, delta.error?.current);
+    return;
+  }
+  
+  const target = downloadTargets.get(delta.id);
+  // A file its request still owns is only finished by that request, after its checks
+  if (!target || ownedFiles.has(getJobFileKey(target.jobId, target.index))) return;
+  
+  const job = jobs.get(target.jobId);
+  if (!job) return;
+  
+  await finishOrphanedDownload(job, target.index, delta.id, delta.state.current, delta.error?.current);
+});
+
+// =============================================================================
+// CONTEXT MENUS
+// =============================================================================
+
+const MENU_DOWNLOAD_LINK = "ilovegcr-download-link";
+const MENU_DOWNLOAD_LINK_PDF = "ilovegcr-download-link-pdf";
+const MENU_DOWNLOAD_PAGE = "ilovegcr-download-page";
+
+// Drive and Docs links the link entries apply to, on any site
+const DRIVE_LINK_PATTERNS = [
+  "https://drive.google.com/file/d/*",
+  "https://drive.google.com/open?*",
+  "https://drive.google.com/uc?*",
+  "https://docs.google.com/document/d/*",
+  "https://docs.google.com/spreadsheets/d/*",
+  "https://docs.google.com/presentation/d/*",
+  "https://docs.google.com/drawings/d/*"
+];
+
+/**
+ * Register the context menu entries; Chrome keeps them across service worker restarts
+ */
+browserAPI.runtime.onInstalled.addListener(() => {
+  browserAPI.contextMenus.removeAll(() => {
+    browserAPI.contextMenus.create({
+      id: MENU_DOWNLOAD_LINK,
+      title: "Download with iloveGCR",
+      contexts: ["link"],
+      targetUrlPatterns: DRIVE_LINK_PATTERNS
+    });
+    browserAPI.contextMenus.create({
+      id: MENU_DOWNLOAD_LINK_PDF,
+      title: "Download as PDF with iloveGCR",
+      contexts: ["link"],
+      targetUrlPatterns: DRIVE_LINK_PATTERNS.filter(pattern => pattern.startsWith("https://docs.google.com/"))
+    });
+    browserAPI.contextMenus.create({
+      id: MENU_DOWNLOAD_PAGE,
+      title: "Download all attachments with iloveGCR",
+      contexts: ["page"],
+      documentUrlPatterns: ["https://classroom.google.com/*"]
+    });
+  });
+});
+
+browserAPI.contextMenus.onClicked.addListener((info, tab) => {
+  const request = info.menuItemId === MENU_DOWNLOAD_PAGE
+    ? downloadPageAttachments(tab)
+    : downloadLink(info.linkUrl, tab, info.menuItemId === MENU_DOWNLOAD_LINK_PDF ? "pdf" : null);
+  
+  request.catch((error) => console.error("[ilovegcr] Context menu download failed:", error));
+});
+
+/**
+ * Download a single Drive/Docs link through the regular download pipeline
+ * @param {string} url - Link that was right-clicked
+ * @param {Object} tab - Tab the link was on; its title names the folder
+ * @param {string|null} format - Export format override, e.g. "pdf"
+ * @returns {Promise<Array>} - Results of handleDownloadRequest
+ */
+async function downloadLink(url, tab, format) {
+  const fileId = getGoogleFileId(url);
+  // The server's Content-Disposition supplies the real name once the file is fetched
+  const attachment = { url, filename: fileId ? `Drive file ${fileId}` : "Drive file" };
+  if (tab?.url?.startsWith("https://classroom.google.com/")) {
+    attachment.pageUrl = tab.url;
+  }
+  if (format && getNativeDocType(url)) {
+    attachment.export = { format };
+  }
+  
+  console.log(`[ilovegcr] Context menu download: ${url}${format ? ` as ${format}` : ""}`);
+  return await handleDownloadRequest([attachment], getTabFolderName(tab));
+}
+
+/**
+ * Download every attachment the content script found on a Classroom page
+ * @param {Object} tab - Classroom tab
+ * @returns {Promise<Array>} - Results of handleDownloadRequest
+ */
+async function downloadPageAttachments(tab) {
+  let scan;
+  try {
+    scan = await browserAPI.tabs.sendMessage(tab.id, { action: "SCAN_FILES" });
+  } catch (error) {
+    // Tabs opened before the extension was installed have no content script yet
+    await browserAPI.scripting.executeScript({ target: { tabId: tab.id }, files: ["content.js"] });
+    scan = await browserAPI.tabs.sendMessage(tab.id, { action: "SCAN_FILES" });
+  }
+  if (!scan?.success) throw new Error(scan?.error || "Could not scan the page");
+  
+  const attachments = [...scan.files, ...scan.links]
+    .map(attachment => ({ ...attachment, assignmentId: scan.assignmentId }));
+  if (attachments.length === 0) {
+    console.log("[ilovegcr] No attachments on this page");
+    return [];
+  }
+  
+  const details = scan.details ? [{ ...scan.details, folder: null }] : [];
+  return await handleDownloadRequest(attachments, scan.assignmentName, { details, courseName: scan.courseName });
+}
+
+/**
+ * Folder name for a context menu download, taken from the page it started on
+ */
+function getTabFolderName(tab) {
+  const title = (tab?.title || "").replace(/ - Google (Classroom|Docs|Sheets|Slides|Drive)$/i, "").trim();
+  return title || "Classroom_Downloads";
+}
+
+// =============================================================================
+// WATCHED COURSES
+// =============================================================================
+
+const WATCH_KEY = "watchedCourses";
+const WATCH_ALARM_PREFIX = "ilovegcr-watch:";
+const WATCH_SCHEDULES = { hourly: 60, daily: 24 * 60 };
+// How long a Classwork page gets to render its list of items
+const WATCH_PAGE_TIMEOUT_MS = 60000;
+const WATCH_RENDER_WAIT_MS = 3000;
+const MAX_WATCH_SUMMARIES = 20;
+
+// Courses being synced right now, so a slow sync is not started twice
+const syncingCourses = new Set();
+// Serializes watched-course writes so a sync finishing mid-change doesn't undo it
+let watchWrite = Promise.resolve();
+
+/**
+ * Get every watched course
+ * @returns {Promise<Object>} - courseId -> {id, name, url, schedule, lastCheckedAt, summaries}
+ */
+async function getWatchedCourses() {
+  const stored = await browserAPI.storage.local.get({ [WATCH_KEY]: {} });
+  return stored[WATCH_KEY];
+}
+
+/**
+ * Save one watched course entry, or remove it when entry is null
+ */
+function saveWatchedCourse(courseId, entry) {
+  return updateWatchedCourse(courseId, () => entry);
+}
+
+/**
+ * Change one watched course entry from its latest stored state
+ * @param {string} courseId - Course ID
+ * @param {Function} update - (entry or undefined) => new entry, or null to remove it
+ * @returns {Promise<void>}
+ */
+function updateWatchedCourse(courseId, update) {
+  const write = watchWrite.then(async () => {
+    const courses = await getWatchedCourses();
+    const entry = update(courses[courseId]);
+    if (entry) {
+      courses[courseId] = entry;
+    } else {
+      delete courses[courseId];
+    }
+    await browserAPI.storage.local.set({ [WATCH_KEY]: courses });
+  });
+  // A failed write is reported to its caller and doesn't hold up the next one
+  watchWrite = write.catch(() => {});
+  return write;
+}
+
+/**
+ * Get the course ID from a course Stream or Classwork URL
+ */
+function getCourseId(url) {
+  return url?.match(/classroom\.google\.com\/(?:u\/\d+\/)?(?:c|w)\/([^\/?#]+)/)?.[1] || null;
+}
+
+/**
+ * Watch a course on a schedule, or stop watching it
+ * @param {string} url - Stream or Classwork URL of the course
+ * @param {string} name - Course name
+ * @param {string} schedule - "hourly", "daily" or "off"
+ * @returns {Promise<Object|null>} - The watched course, or null when unwatched
+ */
+async function setCourseWatch(url, name, schedule) {
+  const courseId = getCourseId(url);
+  if (!courseId) throw new Error("Open the course Stream or Classwork page first");
+  
+  const alarmName = `${WATCH_ALARM_PREFIX}${courseId}`;
+  await browserAPI.alarms.clear(alarmName);
+  
+  if (!WATCH_SCHEDULES[schedule]) {
+    await saveWatchedCourse(courseId, null);
+    console.log(`[ilovegcr] Stopped watching course ${name}`);
+    return null;
+  }
+  
+  // Always sync from the Classwork page, which lists every item of the course
+  const accountPath = url.match(/\/u\/\d+\//)?.[0] || "/";
+  let entry = null;
+  await updateWatchedCourse(courseId, (existing) => {
+    entry = {
+      id: courseId,
+      name: name || existing?.name || "Classroom_Course",
+      url: `https://classroom.google.com${accountPath}w/${courseId}/t/all`,
+      schedule,
+      lastCheckedAt: existing?.lastCheckedAt || null,
+      summaries: existing?.summaries || []
+    };
+    return entry;
+  });
+  browserAPI.alarms.create(alarmName, { delayInMinutes: 1, periodInMinutes: WATCH_SCHEDULES[schedule] });
+  console.log(`[ilovegcr] Watching course ${entry.name} (${schedule})`);
+  return entry;
+}
+
+browserAPI.alarms.onAlarm.addListener((alarm) => {
+  if (!alarm.name.startsWith(WATCH_ALARM_PREFIX)) return;
+  
+  syncWatchedCourse(alarm.name.slice(WATCH_ALARM_PREFIX.length))
+    .catch((error) => console.error("[ilovegcr] Scheduled course sync failed:", error));
+});
+
+/**
+ * Download whatever is new in a watched course.
+ * The Classwork page is opened in a background tab so the content script can list
+ * its items, then everything goes through handleDownloadRequest as an incremental
+ * run, which skips files that are unchanged since the last download.
+ * @param {string} courseId - Watched course ID
+ * @returns {Promise<Object>} - Summary of the run
+ */
+async function syncWatchedCourse(courseId) {
+  const course = (await getWatchedCourses())[courseId];
+  if (!course) throw new Error("This course is not watched");
+  if (syncingCourses.has(courseId)) throw new Error("This course is already being checked");
+  
+  console.log(`[ilovegcr] Checking watched course ${course.name}`);
+  const summary = { checkedAt: Date.now(), arrived: [], failed: 0, error: null };
+  syncingCourses.add(courseId);
+  
+  try {
+    const scan = await scanCourseInBackground(course.url);
+    // Classroom showing no items is far likelier a page that didn't render than an empty course
+    if (scan.items.length === 0) throw new Error("No items found on the Classwork page");
+    const attachments = [];
+    const details = [];
+    scan.items.forEach(item => {
+      if (item.details) details.push({ ...item.details, folder: item.title });
+      item.files.forEach(file => attachments.push({ ...file, folder: item.title, assignmentId: item.id }));
+    });
+    
+    if (attachments.length > 0) {
+      const results = await handleDownloadRequest(attachments, scan.courseName || course.name, {
+        incremental: true,
+        courseName: scan.courseName || course.name,
+        details
+      });
+      results.forEach((result, index) => {
+        if (!result?.success) {
+          summary.failed++;
+        } else if (!result.skipped) {
+          summary.arrived.push({ assignment: attachments[index]?.folder || null, path: result.path || null });
+        }
+      });
+    } else if (details.length > 0) {
+      // Items without attachments still get their details, in the folder a download would use
+      await saveIncrementalDetails(scan.courseName || course.name, details);
+    }
+  } catch (error) {
+    summary.error = error.message;
+  } finally {
+    syncingCourses.delete(courseId);
+  }
+  
+  console.log(`[ilovegcr] ${course.name}: ${summary.arrived.length} new, ${summary.failed} failed${summary.error ? ` (${summary.error})` : ""}`);
+  
+  // The course may have been unwatched while the sync ran
+  await updateWatchedCourse(courseId, (current) => current && {
+    ...current,
+    lastCheckedAt: summary.checkedAt,
+    summaries: [summary, ...current.summaries].slice(0, MAX_WATCH_SUMMARIES)
+  });
+  return summary;
+}
+
+/**
+ * Open a course page in an inactive tab, scan every item, and close the tab again
+ * @param {string} url - Classwork URL
+ * @returns {Promise<Object>} - {courseName, account, items} from the content script
+ */
+async function scanCourseInBackground(url) {
+  const tab = await browserAPI.tabs.create({ url, active: false });
+  
+  try {
+    await waitForTabLoad(tab.id);
+    
+    // Classroom renders the item list after the page loads; an empty list gets another try
+    let scan = null;
+    for (let attempt = 0; attempt < 3; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, WATCH_RENDER_WAIT_MS));
+      scan = await browserAPI.tabs.sendMessage(tab.id, { action: "SCAN_COURSE" }).catch(() => null);
+      if (scan?.success && scan.items.length > 0) break;
+    }
+    
+    if (!scan?.success) throw new Error(scan?.error || "Could not scan the course page");
+    return scan;
+  } finally {
+    browserAPI.tabs.remove(tab.id).catch(() => {});
+  }
+}
+
+/**
+ * Resolve once a tab has finished loading
+ */
+function waitForTabLoad(tabId) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      browserAPI.tabs.onUpdated.removeListener(listener);
+      reject(new Error("Classroom page took too long to load"));
+    }, WATCH_PAGE_TIMEOUT_MS);
+    
+    const listener = (updatedId, changeInfo) => {
+      if (updatedId !== tabId || changeInfo.status !== "complete") return;
+      clearTimeout(timer);
+      browserAPI.tabs.onUpdated.removeListener(listener);
+      resolve();
+    };
+    browserAPI.tabs.onUpdated.addListener(listener);
+  });
+}
+
+// =============================================================================
+// TOOLBAR BADGE
+// =============================================================================
+
+/**
+ * Show how many items are downloadable on a tab's current page
+ * @param {number} tabId - Tab the content script reported from
+ * @param {number} count - Number of files and links found
+ */
+function updateBadge(tabId, count) {
+  const text = count > 0 ? String(Math.min(count, 999)) : "";
+  browserAPI.action.setBadgeText({ tabId, text })
+    .catch((error) => console.warn("[ilovegcr] Could not update badge:", error.message));
+  browserAPI.action.setBadgeBackgroundColor({ tabId, color: "#1e8e3e" })
+    .catch(() => {});
+}
+
 // =============================================================================
 // DOWNLOAD HANDLER
 // =============================================================================
@@ -75,204 +536,2570 @@ function generateTimestamp() {
 
 /**
  * Process and download all attachments
- * @param {Array} attachments - Array of {url, filename} objects
- * @param {string} assignmentName - Name of the assignment for folder organization
+ * @param {Array} attachments - Array of {url, filename, folder?, export?} objects; folder is
+ *   an optional subfolder (e.g. the assignment title in a whole-course download) and
+ *   export an optional {format} overriding the configured Google export format
+ * @param {string} assignmentName - Name of the assignment (or course) for folder organization
+ * @param {Object} options - {zip?: boolean, incremental?: boolean, details?: Array, courseName?: string,
+ *   requestId?: string} download mode options; details are assignment details saved as
+ *   assignment.md/.json, courseName is recorded in the download history, requestId is the
+ *   caller's own id for the request, which its job carries so the caller can follow it
+ * @param {Function} onJob - Optional callback(job) once the job is created
  * @returns {Promise<Array>} - Results of download attempts
  */
-async function handleDownloadRequest(attachments, assignmentName) {
+async function handleDownloadRequest(attachments, assignmentName, options = {}, onJob = () => {}) {
   const results = [];
-  const downloadPath = await getDownloadPath();
+  const { downloadRoot: downloadPath, folderTemplate, concurrency, exportFormats, collisionPolicy, fileTypeFilter } = await getSettings();
+  attachments = await expandDriveFolders(attachments);
+  attachments = filterFileTypes(await expandExportFormats(attachments, exportFormats), fileTypeFilter);
+  attachments = planFilenames(attachments, collisionPolicy);
   const folderName = sanitizeFolderName(assignmentName || "Classroom_Downloads");
-  const timestamp = generateTimestamp();
-  const sessionFolder = `${folderName}_${timestamp}`;
+  // Incremental runs keep writing into one stable folder; archives are always a new delta
+  const sessionFolder = renderFolderTemplate(folderTemplate, folderName, options.incremental && !options.zip);
+  const job = await createJob(attachments, assignmentName, options.courseName, options.requestId);
+  onJob(job);
+  
+  if (options.zip) {
+    // The template's parent folders hold the archive; its last segment names it
+    const archiveFolders = sessionFolder.split("/");
+    const archiveName = archiveFolders.pop();
+    return await handleZipRequest(attachments, job, {
+      downloadPath: [downloadPath, ...archiveFolders].join("/"),
+      folderName,
+      sessionFolder: archiveName,
+      concurrency,
+      collisionPolicy,
+      options
+    });
+  }
   
   console.log(`[ilovegcr] Starting download of ${attachments.length} files`);
   console.log(`[ilovegcr] Saving to folder: ${downloadPath}/${sessionFolder}/`);
   
-  for (const attachment of attachments) {
+  const conflictAction = options.incremental || collisionPolicy === "overwrite" ? "overwrite" : "uniquify";
+  const sessionPrefix = `${downloadPath}/${sessionFolder}/`;
+  const manifest = [];
+  const names = createNameReservations(collisionPolicy);
+  
+  await runDownloadQueue(attachments, concurrency, async (attachment, index) => {
+    if (attachment.collision || attachment.filtered) {
+      results[index] = skipCollision(attachment, job, index);
+      return;
+    }
+    if (attachment.listError) {
+      results[index] = failUnlistedFolder(attachment, job, index);
+      return;
+    }
+    
+    if (attachment.kind === "link") {
+      results[index] = await saveLinkAttachment(attachment, job, index, sessionPrefix, conflictAction);
+      return;
+    }
+    
+    // Until this request has checked the saved file, Chrome finishing it decides nothing
+    const fileKey = getJobFileKey(job.id, index);
+    ownedFiles.add(fileKey);
     try {
-      const result = await downloadFile(attachment, sessionFolder);
-      results.push({ url: attachment.url, success: true, downloadId: result });
+      const syncKey = options.incremental ? getSyncKey(attachment, folderName) : null;
+      const syncState = syncKey ? await checkSyncState(attachment, syncKey, job, index) : null;
+      if (syncState?.unchanged) {
+        updateJobFile(job, index, { state: "skipped", error: null });
+        results[index] = { url: attachment.url, success: true, skipped: true };
+        // The file from last time stays in the folder, so it stays in the manifest
+        const { previous } = syncState;
+        if (previous.path?.startsWith(sessionPrefix)) {
+          manifest[index] = { path: previous.path.slice(sessionPrefix.length), url: attachment.url, size: previous.size, sha256: previous.sha256 || null, status: "unchanged" };
+        }
+        console.log(`[ilovegcr] Unchanged, skipping: ${attachment.filename}`);
+        return;
+      }
+      
+      // Failed checks are thrown in here, so a page served in place of the file is retried
+      const started = await withRetries(async () => {
+        updateJobFile(job, index, { state: "resolving", error: null });
+        const attempt = await downloadFile(attachment, sessionFolder, conflictAction, names, (bytesReceived, totalBytes) => {
+          updateJobFile(job, index, { state: "downloading", bytesReceived, totalBytes });
+        });
+        if (attempt.filename) updateJobFile(job, index, { savedAs: attempt.filename });
+        trackDownload(job, index, attempt.downloadId);
+        await waitForDownload(attempt.downloadId);
+        return { ...attempt, item: await checkSavedDownload(attempt) };
+      }, (attempt, delay, error) => {
+        updateJobFile(job, index, { state: "retrying", error: describeRetry(attempt, delay, error) });
+      });
+      const { downloadId, fullPath, item } = started;
+      
+      // Chrome may have added " (1)" to the name
+      const savedPath = fullPath.slice(0, fullPath.lastIndexOf("/") + 1) + (item?.filename.split(/[\\/]/).pop() || fullPath.split("/").pop());
+      manifest[index] = {
+        path: savedPath.slice(sessionPrefix.length),
+        url: attachment.url,
+        size: started.size ?? (item?.fileSize >= 0 ? item.fileSize : null),
+        sha256: started.sha256,
+        status: started.sha256 ? "verified" : "unverified"
+      };
+      
+      if (syncKey) await recordSync(syncKey, fullPath, syncState.validators, started.sha256);
+      updateJobFile(job, index, { state: "completed", speed: 0 });
+      results[index] = { url: attachment.url, success: true, downloadId, path: fullPath.slice(sessionPrefix.length) };
       console.log(`[ilovegcr] Downloaded: ${attachment.filename}`);
     } catch (error) {
-      results.push({ url: attachment.url, success: false, error: error.message });
+      if (error.collision) {
+        results[index] = skipCollision({ ...attachment, collision: error.message }, job, index);
+        return;
+      }
+      updateJobFile(job, index, { state: "failed", error: error.message, speed: 0 });
+      results[index] = { url: attachment.url, success: false, error: error.message };
       console.error(`[ilovegcr] Failed to download: ${attachment.filename}`, error);
+    } finally {
+      ownedFiles.delete(fileKey);
     }
+  });
+  
+  if (manifest.some(Boolean)) {
+    await saveTextFile(`${sessionPrefix}manifest.json`, buildManifest(assignmentName, manifest), "application/json", "overwrite")
+      .catch((error) => console.error("[ilovegcr] Failed to save manifest.json:", error));
+  }
+  
+  await saveAssignmentDetails(options.details || [], sessionPrefix);
+  
+  if (attachments.some(attachment => attachment.kind === "link")) {
+    const html = buildSessionIndex(assignmentName, attachments, results);
+    await saveTextFile(`${sessionPrefix}index.html`, html, "text/html", "overwrite")
+      .catch((error) => console.error("[ilovegcr] Failed to save index.html:", error));
   }
   
   return results;
 }
 
+/**
+ * Build the session folder from the folder template.
+ * Each "/"-separated segment becomes a folder; separators left dangling by empty
+ * placeholders are trimmed, and empty segments dropped.
+ * @param {string} template - Folder template, e.g. "{name}_{timestamp}"
+ * @param {string} name - Sanitized assignment or course name
+ * @param {boolean} stable - Leave out the date and time, for incremental runs
+ * @returns {string} - Relative folder path
+ */
+function renderFolderTemplate(template, name, stable = false) {
+  const timestamp = stable ? "" : generateTimestamp();
+  const [date = "", time = ""] = timestamp.split("_");
+  const values = { name, date, time, timestamp };
+  
+  // Empty placeholders become a marker first, so only the separators next to them are removed
+  const folder = template
+    .replace(/\{(\w+)\}/g, (token, key) => key in values ? (values[key] || "\u0000") : token)
+    .split("/")
+    .map(segment => segment.replace(/[\s_.-]*\u0000[\s_.-]*/g, (match, offset) =>
+      offset === 0 || offset + match.length === segment.length ? "" : match.replace("\u0000", "")[0] || ""))
+    .join("/");
+  
+  return sanitizeFolderPath(folder) || name;
+}
+
 /**
  * Download a single file using fetch + blob approach
  * This ensures cookies are sent with the request
- * @param {Object} attachment - {url, filename} object
+ * @param {Object} attachment - {url, filename, folder?} object
  * @param {string} folderName - Sanitized folder name
- * @returns {Promise<number>} - Download ID
+ * @param {string} conflictAction - Chrome conflict action for existing files
+ * @param {Object} names - Session's name reservations from createNameReservations, or null
+ * @param {Function} onProgress - Callback(bytesReceived, totalBytes)
+ * @returns {Promise<{downloadId: number, fullPath: string}>} - Started download
  */
-async function downloadFile(attachment, folderName) {
-  const sanitizedFilename = sanitizeFilename(attachment.filename, attachment.url);
+async function downloadFile(attachment, folderName, conflictAction = "uniquify", names = null, onProgress = () => {}) {
+  const sanitizedFilename = getPlannedFilename(attachment);
   const downloadPath = await getDownloadPath();
-  const fullPath = `${downloadPath}/${folderName}/${sanitizedFilename}`;
+  const subfolder = getAttachmentFolder(attachment);
+  const folderPath = subfolder ? `${folderName}/${subfolder}` : folderName;
+  const fullPath = `${downloadPath}/${folderPath}/${sanitizedFilename}`;
 
-  const downloadUrls = getDownloadUrlCandidates(attachment.url);
+  const downloadUrls = getDownloadUrlCandidates(attachment.url, attachment.export, attachment.account);
 
   console.log(`[ilovegcr] Downloading to: ${fullPath}`);
 
-  let lastError = null;
-  for (const downloadUrl of downloadUrls) {
-    console.log(`[ilovegcr] Trying URL: ${downloadUrl}`);
+  return await tryUrlCandidates(downloadUrls, (downloadUrl) => {
+    console.log(`[ilovegcr] Trying URL: ${downloadUrl}`);
+    return attemptDownloadFromUrl(downloadUrl, fullPath, sanitizedFilename, conflictAction, attachment, names, onProgress);
+  });
+}
+
+/**
+ * Try each URL candidate in order until one succeeds.
+ * A throttling response stops the walk, since every candidate hits the same servers.
+ * @param {string[]} urls - Ordered URL candidates
+ * @param {Function} attempt - async (url) => result
+ * @returns {Promise<*>} - Result of the first successful attempt
+ */
+async function tryUrlCandidates(urls, attempt) {
+  let lastError = null;
+  let retryableError = null;
+  for (const url of urls) {
+    try {
+      return await attempt(url);
+    } catch (error) {
+      if (isThrottleError(error) || error.collision || error.tooLarge) throw error;
+      lastError = error;
+      if (!retryableError && isRetryableError(error)) retryableError = error;
+      console.warn(`[ilovegcr] URL failed, trying next candidate: ${error.message}`);
+    }
+  }
+
+  // Prefer a transient failure so the scheduler retries instead of giving up
+  throw retryableError || lastError || new Error("All download URL candidates failed");
+}
+
+/**
+ * Attempt to download one URL using fetch+blob, then direct download fallback.
+ * The saved name follows the server's filename and content type once the response is in.
+ * Files whose length is given and up to MAX_HASHED_BYTES are saved from the fetched
+ * bytes, checked and hashed; others are fetched by Chrome and not read here.
+ * @param {Object} names - Session's name reservations, claimed once the served name is known
+ * @param {Function} onProgress - Callback(bytesReceived, totalBytes) while reading into memory
+ * @returns {Promise<{downloadId: number, fullPath: string, filename: string, size: number|null, sha256: string|null}>}
+ * @throws {Error} - With checkFailed set when the content doesn't match the file type,
+ *   or collision when another file of the session already has the name
+ */
+async function attemptDownloadFromUrl(downloadUrl, fullPath, sanitizedFilename, conflictAction, attachment, names = null, onProgress = () => {}) {
+  const isGoogleUrl = isGoogleDownloadUrl(downloadUrl);
+
+  try {
+    const { response, url, served } = await resolveDownloadResponse(downloadUrl);
+
+    let filename;
+    try {
+      filename = reserveSavedName(names, attachment, getSavedFilename(attachment, served));
+    } catch (error) {
+      response.body?.cancel();
+      throw error;
+    }
+    const servedPath = fullPath.slice(0, fullPath.length - sanitizedFilename.length) + filename;
+    if (filename !== sanitizedFilename) {
+      console.log(`[ilovegcr] Server name for ${sanitizedFilename}: ${filename}`);
+    }
+
+    // A file of known size up to the cap is read once, checked, and saved from those bytes
+    const length = parseInt(response.headers.get('content-length') || "0", 10);
+    if (length > 0 && length <= MAX_HASHED_BYTES) {
+      const data = await readResponseBytes(response, onProgress);
+      assertFileSignature(filename, data);
+      const blob = new Blob([data], { type: served.mimeType || "application/octet-stream" });
+      const downloadId = await directDownload(await blobToDataUrl(blob), servedPath, filename, conflictAction);
+      return { downloadId, fullPath: servedPath, filename, size: data.length, sha256: await sha256Hex(data) };
+    }
+
+    // Anything else is left to Chrome without reading a byte, so it is fetched only once;
+    // checkSavedDownload then has Chrome's record of it, not its content, to go on
+    response.body?.cancel();
+    const resolvedUrl = withSessionParams(response.url || url, url);
+    const downloadId = await directDownload(resolvedUrl, servedPath, filename, conflictAction);
+    return { downloadId, fullPath: servedPath, filename, size: null, sha256: null };
+  } catch (fetchError) {
+    if (isGoogleUrl || fetchError.checkFailed || fetchError.collision) {
+      throw fetchError;
+    }
+  }
+
+  const filename = reserveSavedName(names, attachment, sanitizedFilename);
+  const fallbackPath = fullPath.slice(0, fullPath.length - sanitizedFilename.length) + filename;
+  const downloadId = await directDownload(downloadUrl, fallbackPath, filename, conflictAction);
+  return { downloadId, fullPath: fallbackPath, filename, size: null, sha256: null };
+}
+
+/**
+ * Fetch a URL and follow Drive confirm/interstitial pages until real file content arrives
+ * @param {string} downloadUrl - Candidate URL
+ * @returns {Promise<{response: Response, url: string, served: Object}>} - Response with an unread
+ *   file body, and the {filename, mimeType} the server declared for it
+ */
+async function resolveDownloadResponse(downloadUrl) {
+  const response = await fetch(downloadUrl, {
+    credentials: 'include',
+    redirect: 'follow'
+  });
+
+  if (!response.ok) {
+    throw response.status === 401 || response.status === 403
+      ? createAccessDeniedError(downloadUrl, `HTTP ${response.status}`)
+      : createHttpError(response);
+  }
+
+  const contentType = (response.headers.get('content-type') || '').toLowerCase();
+  const served = getServedFileInfo(response);
+  // An attachment disposition marks a real file, even an .html one behind a /file/d/ URL
+  if (!served.attachment && isHtmlLikeResponse(contentType, response.url)) {
+    const html = await response.text();
+    
+    // Redirects can drop authuser, so confirm URLs take the account from the request
+    let confirmedUrl = getDriveConfirmedDownloadUrl(html, response.url);
+    confirmedUrl = confirmedUrl && withSessionParams(confirmedUrl, downloadUrl);
+    if (confirmedUrl && confirmedUrl !== downloadUrl) {
+      return await resolveDownloadResponse(confirmedUrl);
+    }
+    const accessError = getAccessDeniedError(html, response.url, downloadUrl);
+    if (accessError) throw accessError;
+    if (isDriveQuotaPage(html)) {
+      const error = new Error('Drive download quota exceeded, try again later');
+      error.status = 429;
+      throw error;
+    }
+    throw new Error('Received HTML page instead of file content');
+  }
+
+  return { response, url: downloadUrl, served };
+}
+
+/**
+ * Fetch the bytes of an attachment, trying each URL candidate in turn
+ * @param {Object} attachment - {url, filename} object
+ * @param {Function} onProgress - Optional callback(bytesReceived, totalBytes)
+ * @param {number} maxBytes - Largest body to read, see readResponseBytes
+ * @returns {Promise<{data: Uint8Array, filename: string}>} - File content and the name to save it under
+ */
+async function fetchAttachmentBytes(attachment, onProgress = () => {}, maxBytes = Infinity) {
+  return await tryUrlCandidates(getDownloadUrlCandidates(attachment.url, attachment.export, attachment.account), async (downloadUrl) => {
+    const { response, served } = await resolveDownloadResponse(downloadUrl);
+    const data = await readResponseBytes(response, onProgress, maxBytes);
+    return { data, filename: getSavedFilename(attachment, served) };
+  });
+}
+
+/**
+ * Read a response body chunk by chunk, reporting progress along the way
+ * @param {Response} response - Fetch response with an unread body
+ * @param {Function} onProgress - Callback(bytesReceived, totalBytes)
+ * @param {number} maxBytes - Largest body to read; a larger one is dropped unread,
+ *   or as soon as it grows past it when its length isn't given
+ * @returns {Promise<Uint8Array>} - Body content
+ * @throws {Error} - With tooLarge set when the body is larger than maxBytes
+ */
+async function readResponseBytes(response, onProgress, maxBytes = Infinity) {
+  const totalBytes = parseInt(response.headers.get('content-length') || "0", 10);
+  if (totalBytes > maxBytes) {
+    response.body?.cancel();
+    throw createTooLargeError(maxBytes);
+  }
+  if (!response.body) {
+    const data = new Uint8Array(await response.arrayBuffer());
+    onProgress(data.length, totalBytes || data.length);
+    return data;
+  }
+  
+  const reader = response.body.getReader();
+  const chunks = [];
+  let received = 0;
+  
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    received += value.length;
+    if (received > maxBytes) {
+      reader.cancel();
+      throw createTooLargeError(maxBytes);
+    }
+    chunks.push(value);
+    onProgress(received, totalBytes);
+  }
+  
+  const data = new Uint8Array(received);
+  let position = 0;
+  for (const chunk of chunks) {
+    data.set(chunk, position);
+    position += chunk.length;
+  }
+  return data;
+}
+
+/**
+ * Build the error for a body over the size readResponseBytes was given
+ */
+function createTooLargeError(maxBytes) {
+  const error = new Error(`Too large for ZIP (over ${Math.round(maxBytes / 1024 / 1024)} MB); download it without ZIP`);
+  error.tooLarge = true;
+  return error;
+}
+
+/**
+ * Check whether URL points to Google Drive/Docs resources
+ */
+function isGoogleDownloadUrl(url) {
+  return /https:\/\/(drive\.google\.com|docs\.google\.com|drive\.usercontent\.google\.com)\//i.test(url);
+}
+
+/**
+ * Read the filename and MIME type a server declared for a response
+ * @param {Response} response - Fetch response
+ * @returns {{filename: string|null, mimeType: string, attachment: boolean}}
+ */
+function getServedFileInfo(response) {
+  const disposition = response.headers.get('content-disposition') || '';
+  const mimeType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+  return {
+    filename: parseContentDispositionFilename(disposition),
+    mimeType,
+    attachment: /^\s*attachment\b/i.test(disposition)
+  };
+}
+
+/**
+ * Extract the filename from a Content-Disposition header.
+ * RFC 5987 filename*= (e.g. UTF-8''Unit%204.pdf) wins over the plain filename= fallback.
+ * @param {string} header - Content-Disposition header value
+ * @returns {string|null} - Filename, or null when none is given
+ */
+function parseContentDispositionFilename(header) {
+  if (!header) return null;
+  
+  const extended = header.match(/filename\*\s*=\s*([^']*)'[^']*'([^;]+)/i);
+  if (extended) {
+    try {
+      const value = extended[2].trim().replace(/^"|"$/g, '');
+      if (/^(utf-8)?$/i.test(extended[1].trim())) return decodeURIComponent(value);
+      // ISO-8859-1 and other single-byte charsets: decode percent escapes byte by byte
+      return value.replace(/%([0-9a-f]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+    } catch (error) {
+      console.warn("[ilovegcr] Malformed filename* in Content-Disposition:", header);
+    }
+  }
+  
+  const quoted = header.match(/filename\s*=\s*"((?:[^"\\]|\\.)*)"/i);
+  if (quoted) return quoted[1].replace(/\\(.)/g, '$1');
+  
+  const token = header.match(/filename\s*=\s*([^;\s]+)/i);
+  return token ? token[1] : null;
+}
+
+/**
+ * Pick the name to save a file under. Card titles are truncated with an ellipsis
+ * and may carry no or the wrong extension, so the server's filename wins when
+ * there is one, and the Content-Type fixes the extension when there isn't.
+ * @param {string} sanitizedFilename - Name built from the card title
+ * @param {Object} served - {filename, mimeType} from getServedFileInfo
+ * @param {Object} exportInfo - Optional {format, part} of a Google export
+ * @returns {string} - Sanitized filename
+ */
+function getServedFilename(sanitizedFilename, served, exportInfo) {
+  if (exportInfo) {
+    // Exports keep the chosen format's extension and the sheet/slide suffix
+    if (!served?.filename || exportInfo.part) return sanitizedFilename;
+    return sanitizeFilename(`${stripExportExtension(served.filename)}.${exportInfo.format}`);
+  }
+  
+  if (served?.filename) return sanitizeFilename(served.filename);
+  
+  const ext = CONTENT_TYPE_EXTENSIONS[served?.mimeType];
+  if (!ext) return sanitizedFilename;
+  
+  const match = sanitizedFilename.match(/\.([a-zA-Z0-9]+)$/);
+  const current = match ? match[1].toLowerCase() : null;
+  if (current === ext || (ext === 'jpg' && current === 'jpeg')) return sanitizedFilename;
+  
+  // Replace an extension we recognise as wrong, keep unfamiliar ones (script.py served as text/plain)
+  const knownExtensions = Object.values(CONTENT_TYPE_EXTENSIONS);
+  if (current && knownExtensions.includes(current)) return `${sanitizedFilename.slice(0, -match[0].length)}.${ext}`;
+  if (current && /^[a-z][a-z0-9]{1,4}$/.test(current)) return sanitizedFilename;
+  return `${sanitizedFilename}.${ext}`;
+}
+
+/**
+ * Name an attachment is saved under: the server's name when known, plus any collision suffix
+ * @param {Object} attachment - {url, filename, export?, nameSuffix?} object
+ * @param {Object} served - {filename, mimeType} from getServedFileInfo, or null before fetching
+ * @returns {string} - Sanitized filename
+ */
+function getSavedFilename(attachment, served) {
+  const cardName = sanitizeFilename(attachment.filename, attachment.url, attachment.export?.format);
+  return applyNameSuffix(getServedFilename(cardName, served, attachment.export), attachment.nameSuffix);
+}
+
+/**
+ * Detect if fetch response is likely an HTML page instead of actual file bytes
+ */
+function isHtmlLikeResponse(contentType, finalUrl) {
+  if (contentType.includes('text/html')) return true;
+  if (contentType.includes('application/xhtml+xml')) return true;
+  if (/\/file\/d\//i.test(finalUrl) || /\/view/i.test(finalUrl)) return true;
+  return false;
+}
+
+/**
+ * Extract Google Drive confirm-download URL from warning/interstitial HTML
+ */
+function getDriveConfirmedDownloadUrl(html, baseUrl) {
+  if (!html || !baseUrl) return null;
+
+  try {
+    const embeddedDownloadMatch = html.match(/"downloadUrl":"(https:[^"\\]*(?:\\\\\/[^"\\]*)*)"/i);
+    if (embeddedDownloadMatch?.[1]) {
+      const unescaped = embeddedDownloadMatch[1]
+        .replace(/\\u003d/g, '=')
+        .replace(/\\u0026/g, '&')
+        .replace(/\\\//g, '/');
+      return withSessionParams(unescaped, baseUrl);
+    }
+
+    const actionMatch = html.match(/action="([^"]*\/uc\?export=download[^"]*)"/i)
+      || html.match(/href="([^"]*\/uc\?export=download[^"]*)"/i)
+      || html.match(/href="([^"]*drive\.usercontent\.google\.com\/download[^\"]*)"/i)
+      || html.match(/confirm=([0-9A-Za-z_\-]+).*?id=([0-9A-Za-z_\-]+)/is);
+
+    if (!actionMatch) return null;
+
+    if (actionMatch.length >= 3 && !actionMatch[1]?.startsWith('http')) {
+      const confirm = actionMatch[1];
+      const fileId = actionMatch[2];
+      return withSessionParams(
+        `https://drive.google.com/uc?export=download&confirm=${encodeURIComponent(confirm)}&id=${encodeURIComponent(fileId)}`,
+        baseUrl
+      );
+    }
+
+    const raw = actionMatch[1];
+    const decoded = raw.replace(/&amp;/g, '&');
+    return withSessionParams(new URL(decoded, baseUrl).toString(), baseUrl);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Point a Google URL at the account the Classroom page is signed into.
+ * The email is preferred, since account indexes shift when accounts sign in or out.
+ * @param {string} url - Attachment or candidate URL
+ * @param {Object} account - {index, email} from the content script
+ * @returns {string} - URL with authuser set, unless it already had one
+ */
+function withAccount(url, account) {
+  const value = account?.email || (Number.isInteger(account?.index) ? String(account.index) : null);
+  if (!value || !isGoogleDownloadUrl(url)) return url;
+  
+  try {
+    const target = new URL(url);
+    if (!target.searchParams.has('authuser')) target.searchParams.set('authuser', value);
+    return target.toString();
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * Preserve important Google session params like authuser/resourcekey.
+ */
+function withSessionParams(targetUrl, sourceUrl) {
+  try {
+    const source = new URL(sourceUrl);
+    const target = new URL(targetUrl);
+    const authuser = source.searchParams.get('authuser');
+    const resourcekey = source.searchParams.get('resourcekey');
+
+    if (authuser && !target.searchParams.has('authuser')) {
+      target.searchParams.set('authuser', authuser);
+    }
+    if (resourcekey && !target.searchParams.has('resourcekey')) {
+      target.searchParams.set('resourcekey', resourcekey);
+    }
+    return target.toString();
+  } catch (error) {
+    return targetUrl;
+  }
+}
+
+/**
+ * Direct download fallback when fetch doesn't work
+ */
+function directDownload(downloadUrl, fullPath, sanitizedFilename, conflictAction = "uniquify") {
+  return new Promise((resolve, reject) => {
+    browserAPI.downloads.download(
+      {
+        url: downloadUrl,
+        filename: fullPath,
+        conflictAction,
+        saveAs: false
+      },
+      (downloadId) => {
+        if (browserAPI.runtime.lastError) {
+          console.error(`[ilovegcr] Direct download error: ${browserAPI.runtime.lastError.message}`);
+          reject(new Error(browserAPI.runtime.lastError.message));
+        } else if (downloadId === undefined) {
+          reject(new Error("Download failed - check extension permissions"));
+        } else {
+          console.log(`[ilovegcr] Direct download started with ID: ${downloadId}`);
+          resolve(downloadId);
+        }
+      }
+    );
+  });
+}
+
+// =============================================================================
+// EXPORT FORMATS
+// =============================================================================
+
+// Formats that export a single sheet or slide, so one file is saved per part
+const MULTI_PART_FORMATS = {
+  spreadsheet: ["csv", "tsv"],
+  presentation: ["png"]
+};
+
+/**
+ * Turn each Google-native attachment into one attachment per chosen export
+ * format (and per sheet/slide for single-part formats like CSV or PNG)
+ * @param {Array} attachments - Array of attachment objects
+ * @param {Object} exportFormats - Type -> array of format keys, from settings
+ * @param {Function} listParts - async (type, url) => parts, listExportParts unless cached
+ * @returns {Promise<Array>} - Expanded attachments, each with an export.format
+ */
+async function expandExportFormats(attachments, exportFormats, listParts = listExportParts) {
+  const expanded = [];
+  
+  for (const attachment of attachments) {
+    const type = getNativeDocType(attachment.url);
+    if (!type) {
+      expanded.push(attachment);
+      continue;
+    }
+    
+    const formats = attachment.export?.format ? [attachment.export.format] : exportFormats[type];
+    for (const format of formats) {
+      const parts = MULTI_PART_FORMATS[type]?.includes(format)
+        ? await listParts(type, withAccount(attachment.url, attachment.account))
+        : [];
+      
+      if (parts.length > 1) {
+        const baseName = stripExportExtension(attachment.filename);
+        parts.forEach(part => expanded.push({
+          ...attachment,
+          filename: `${baseName} - ${part.label}`,
+          export: { format, part }
+        }));
+      } else {
+        expanded.push({ ...attachment, export: { format, part: parts[0] || null } });
+      }
+    }
+  }
+  
+  return expanded;
+}
+
+/**
+ * List the sheets (gids) of a spreadsheet or the slides (page IDs) of a
+ * presentation from their lightweight HTML views. Best effort: when nothing is
+ * found the export falls back to the first sheet or slide.
+ * @param {string} type - spreadsheet | presentation
+ * @param {string} url - Attachment URL
+ * @returns {Promise<Array>} - Array of {id, label} parts
+ */
+async function listExportParts(type, url) {
+  const id = getGoogleFileId(url);
+  const viewUrl = type === "spreadsheet"
+    ? `https://docs.google.com/spreadsheets/d/${id}/htmlview`
+    : `https://docs.google.com/presentation/d/${id}/htmlpresent`;
+  
+  try {
+    const response = await fetch(withSessionParams(viewUrl, url), { credentials: 'include' });
+    if (!response.ok) return [];
+    const html = await response.text();
+    return type === "spreadsheet" ? parseSheetTabs(html) : parseSlidePageIds(html);
+  } catch (error) {
+    console.warn(`[ilovegcr] Could not list ${type} parts, exporting the first one only:`, error);
+    return [];
+  }
+}
+
+/**
+ * Extract {id: gid, label: sheet name} pairs from a spreadsheet htmlview page
+ */
+function parseSheetTabs(html) {
+  const parts = [];
+  const seen = new Set();
+  const tabPattern = /id="sheet-button-(\d+)"[^>]*>\s*<a[^>]*>([^<]*)</g;
+  
+  for (const match of html.matchAll(tabPattern)) {
+    if (seen.has(match[1])) continue;
+    seen.add(match[1]);
+    parts.push({ id: match[1], label: decodeHtmlEntities(match[2].trim()) || `Sheet ${parts.length + 1}` });
+  }
+  return parts;
+}
+
+/**
+ * Extract slide page IDs from a presentation htmlpresent page, in slide order.
+ * Only IDs in a page link count: a pageid= parameter or a #slide=id. anchor.
+ * Any other quoted string that merely looks like an ID is not a slide.
+ */
+function parseSlidePageIds(html) {
+  const ids = new Set();
+  const pagePattern = /[?&]pageid=([\w-]+)|[#?&]slide=id\.([\w-]+)/g;
+  
+  for (const match of html.matchAll(pagePattern)) {
+    ids.add(match[1] || match[2]);
+  }
+  return [...ids].map((pageId, index) => ({ id: pageId, label: `Slide ${index + 1}` }));
+}
+
+/**
+ * Decode the few HTML entities that appear in sheet names
+ */
+function decodeHtmlEntities(text) {
+  return text
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'");
+}
+
+// =============================================================================
+// DRIVE FOLDERS
+// =============================================================================
+
+// Limits for walking shared folders, so a huge or looping tree can't stall a download
+const MAX_FOLDER_DEPTH = 8;
+const MAX_FOLDER_FILES = 500;
+
+/**
+ * List every file in a shared Drive folder and its subfolders.
+ * Uses Drive's embeddable folder view, which needs no API key and honours the signed-in session.
+ * @param {string} url - drive.google.com/drive/folders/<id> URL
+ * @param {Object} account - Optional {index, email} of the Classroom account
+ * @returns {Promise<Object>} - {name, files: [{url, filename, path}], truncated}; path is an array of subfolder names
+ */
+async function listDriveFolder(url, account) {
+  const rootId = getDriveFolderId(url);
+  if (!rootId) throw new Error("Not a Drive folder link");
+  
+  const files = [];
+  const visited = new Set();
+  let truncated = false;
+  
+  async function walk(id, path, depth) {
+    if (visited.has(id)) return null;
+    visited.add(id);
+    
+    const listing = await fetchDriveFolderView(id, account);
+    for (const entry of listing.entries) {
+      if (files.length >= MAX_FOLDER_FILES) {
+        truncated = true;
+        break;
+      }
+      const childId = getDriveFolderId(entry.url);
+      if (!childId) {
+        files.push({ url: entry.url, filename: entry.title, path });
+      } else if (depth < MAX_FOLDER_DEPTH) {
+        await walk(childId, [...path, entry.title.replace(/\//g, "_")], depth + 1);
+      } else {
+        truncated = true;
+      }
+    }
+    return listing.name;
+  }
+  
+  const name = await walk(rootId, [], 0);
+  if (truncated) console.warn(`[ilovegcr] Folder listing of ${url} was cut short`);
+  return { name, files, truncated };
+}
+
+/**
+ * Fetch one level of a Drive folder
+ * @returns {Promise<Object>} - {name, entries: [{url, title}]}
+ */
+async function fetchDriveFolderView(id, account) {
+  const viewUrl = withAccount(`https://drive.google.com/embeddedfolderview?id=${encodeURIComponent(id)}`, account);
+  const response = await fetch(viewUrl, { credentials: 'include' });
+  if (response.status === 401 || response.status === 403 || response.status === 404) {
+    throw createAccessDeniedError(viewUrl, `HTTP ${response.status}`);
+  }
+  if (!response.ok) throw createHttpError(response);
+  
+  const html = await response.text();
+  const accessError = getAccessDeniedError(html, response.url, viewUrl);
+  if (accessError) throw accessError;
+  
+  return parseDriveFolderView(html);
+}
+
+/**
+ * Read the entries of Drive's embedded folder view
+ * @param {string} html - embeddedfolderview page
+ * @returns {Object} - {name, entries: [{url, title}]}
+ */
+function parseDriveFolderView(html) {
+  const name = decodeHtmlEntities((html.match(/<title>([^<]*)<\/title>/i)?.[1] || "").trim()) || null;
+  const entries = html.split(/class="flip-entry"/).slice(1).map(chunk => {
+    const href = chunk.match(/<a href="([^"]+)"/)?.[1];
+    const title = chunk.match(/class="flip-entry-title">([^<]*)</)?.[1];
+    return href ? { url: decodeHtmlEntities(href), title: decodeHtmlEntities((title || "").trim()) || "Untitled" } : null;
+  }).filter(Boolean);
+  
+  return { name, entries };
+}
+
+/**
+ * Replace folder attachments with the files inside them, keeping the Drive hierarchy
+ * as subfolders: "<item folder>/<Drive folder>/<subfolder>/file"
+ * @param {Array} attachments - Attachments, some with kind: 'folder'
+ * @returns {Promise<Array>} - Attachments with folders expanded; unlistable folders keep listError
+ */
+async function expandDriveFolders(attachments) {
+  const expanded = [];
+  
+  for (const attachment of attachments) {
+    if (attachment.kind !== "folder") {
+      expanded.push(attachment);
+      continue;
+    }
+    
+    try {
+      const listing = await listDriveFolder(attachment.url, attachment.account);
+      const folderName = (listing.name || attachment.filename || "Drive folder").replace(/\//g, "_");
+      listing.files.forEach(file => {
+        // The section folder goes above the Drive folder's own hierarchy
+        const { kind, mimeType, section, ...base } = attachment;
+        expanded.push({
+          ...base,
+          url: file.url,
+          filename: file.filename,
+          folder: [getAttachmentFolder(attachment), folderName, ...file.path].filter(Boolean).join("/")
+        });
+      });
+      console.log(`[ilovegcr] Drive folder ${folderName}: ${listing.files.length} files`);
+    } catch (error) {
+      console.error(`[ilovegcr] Could not list Drive folder ${attachment.url}:`, error);
+      expanded.push({ ...attachment, listError: error.message });
+    }
+  }
+  
+  return expanded;
+}
+
+/**
+ * Mark a folder that could not be listed as failed
+ */
+function failUnlistedFolder(attachment, job, index) {
+  updateJobFile(job, index, { state: "failed", error: `Could not list folder: ${attachment.listError}` });
+  return { url: attachment.url, success: false, error: attachment.listError };
+}
+
+// =============================================================================
+// COLLISION PLANNING
+// =============================================================================
+
+// Policies for attachments that would be saved under the same name
+const COLLISION_POLICIES = ["number", "driveId", "skip", "overwrite"];
+
+/**
+ * Give every attachment of a batch its final name before any download starts,
+ * so the outcome never depends on Chrome's conflict handling.
+ * Names compare case-insensitively per folder, as on Windows and macOS.
+ * @param {Array} attachments - Expanded attachments of the batch
+ * @param {string} policy - "number" (" (2)"), "driveId" (" [a1b2c3]"), "skip" or "overwrite"
+ * @returns {Array} - Copies of the attachments; colliding ones carry nameSuffix or collision
+ */
+function planFilenames(attachments, policy) {
+  const planned = attachments.map(attachment => ({ ...attachment }));
+  const groups = new Map();
+  const getKey = (attachment) =>
+    `${getAttachmentFolder(attachment)}/${getPlannedFilename(attachment)}`.toLowerCase();
+  
+  planned.filter(attachment => !attachment.filtered).forEach(attachment => {
+    const key = getKey(attachment);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(attachment);
+  });
+  
+  const taken = new Set(groups.keys());
+  for (const group of groups.values()) {
+    if (group.length < 2) continue;
+    
+    if (policy === "skip") {
+      group.slice(1).forEach(attachment => {
+        attachment.collision = "Another file in this folder has the same name";
+      });
+      continue;
+    }
+    if (policy === "overwrite") {
+      // The last file wins, as if each had overwritten the one before
+      group.slice(0, -1).forEach(attachment => {
+        attachment.collision = "Overwritten by a later file with the same name";
+      });
+      continue;
+    }
+    
+    group.slice(1).forEach(attachment => {
+      const fileId = policy === "driveId" ? getGoogleFileId(attachment.url) : null;
+      if (fileId) {
+        attachment.nameSuffix = ` [${fileId.slice(-6)}]`;
+      }
+      for (let copy = 2; !attachment.nameSuffix || taken.has(getKey(attachment)); copy++) {
+        attachment.nameSuffix = ` (${copy})`;
+      }
+      taken.add(getKey(attachment));
+    });
+  }
+  
+  const renamed = planned.filter(attachment => attachment.nameSuffix || attachment.collision).length;
+  if (renamed > 0) console.log(`[ilovegcr] Resolved ${renamed} filename collisions (${policy})`);
+  return planned;
+}
+
+// Sheets and slides listed for name previews, so ticking a box doesn't list them again
+const previewParts = new Map();
+
+/**
+ * Plan the names of the files the popup lists, as a download of the selected ones
+ * would: export formats expanded, the file type filter and the collision policy applied.
+ * @param {Array} attachments - Listed files; those not selected carry unselected: true
+ * @returns {Promise<Array>} - {source, name, format, note} per file saved, source being
+ *   the index in attachments (a Google file exported to two formats appears twice);
+ *   format is the export format, null for regular files
+ */
+async function previewFilenames(attachments) {
+  const { exportFormats, collisionPolicy, fileTypeFilter } = await getSettings();
+  const listParts = (type, url) => {
+    if (!previewParts.has(url)) previewParts.set(url, listExportParts(type, url));
+    return previewParts.get(url);
+  };
+  
+  const sourced = attachments.map((attachment, source) => ({ ...attachment, source }));
+  const expanded = filterFileTypes(await expandExportFormats(sourced, exportFormats, listParts), fileTypeFilter);
+  // Only the selected files can collide with each other
+  const planned = [
+    ...planFilenames(expanded.filter(attachment => !attachment.unselected), collisionPolicy),
+    ...expanded.filter(attachment => attachment.unselected)
+  ];
+  
+  return planned.map(attachment => ({
+    source: attachment.source,
+    name: getPlannedFilename(attachment),
+    format: attachment.export?.format || null,
+    note: attachment.collision || attachment.filtered || (attachment.nameSuffix ? "Renamed: same name as another file" : "")
+  }));
+}
+
+/**
+ * Start the record of names taken in one session. The plan above works from the
+ * names on the cards; servers often name the file differently, so two cards can
+ * still meet on one name once the responses are in.
+ * @param {string} policy - Collision policy, as for planFilenames
+ * @returns {Object} - {policy, paths}; paths maps lowercased folder/name to the attachment holding it
+ */
+function createNameReservations(policy) {
+  return { policy, paths: new Map() };
+}
+
+/**
+ * Claim the name a file is about to be saved under, applying the collision policy
+ * when another file of the session got there first. Retries of one attachment
+ * keep the name it already holds.
+ * @param {Object} names - From createNameReservations, or null to take the name as is
+ * @param {Object} attachment - Attachment being saved
+ * @param {string} filename - Name resolved from the response
+ * @returns {string} - Name to save under
+ * @throws {Error} - With collision set when the policy is "skip"
+ */
+function reserveSavedName(names, attachment, filename) {
+  if (!names) return filename;
+  const folder = getAttachmentFolder(attachment);
+  const isFree = (name) => {
+    const holder = names.paths.get(`${folder}/${name}`.toLowerCase());
+    return !holder || holder === attachment;
+  };
+  
+  let name = filename;
+  if (!isFree(name) && names.policy !== "overwrite") {
+    if (names.policy === "skip") {
+      const error = new Error("Another file in this folder has the same name");
+      error.collision = true;
+      throw error;
+    }
+    const fileId = names.policy === "driveId" ? getGoogleFileId(attachment.url) : null;
+    name = fileId ? applyNameSuffix(filename, ` [${fileId.slice(-6)}]`) : null;
+    for (let copy = 2; !name || !isFree(name); copy++) {
+      name = applyNameSuffix(filename, ` (${copy})`);
+    }
+    console.log(`[ilovegcr] ${filename} is taken in this session, saving as ${name}`);
+  }
+  
+  names.paths.set(`${folder}/${name}`.toLowerCase(), attachment);
+  return name;
+}
+
+/**
+ * Name an attachment will be saved under, as planned before the batch starts
+ */
+function getPlannedFilename(attachment) {
+  if (attachment.kind === "link") return buildLinkShortcuts(attachment)[0].name;
+  return getSavedFilename(attachment, null);
+}
+
+/**
+ * Insert a collision suffix before the extension: "Worksheet.pdf" -> "Worksheet (2).pdf"
+ */
+function applyNameSuffix(filename, suffix) {
+  if (!suffix) return filename;
+  const ext = filename.match(/\.[a-zA-Z0-9]{1,5}$/)?.[0] || "";
+  return filename.slice(0, filename.length - ext.length) + suffix + ext;
+}
+
+/**
+ * Mark an attachment the collision plan, the file type filter or the ZIP size limit dropped as skipped
+ */
+function skipCollision(attachment, job, index) {
+  const reason = attachment.collision || attachment.filtered;
+  updateJobFile(job, index, { state: "skipped", error: reason });
+  console.log(`[ilovegcr] Skipping ${attachment.filename}: ${reason}`);
+  return { url: attachment.url, success: true, skipped: true, reason };
+}
+
+/**
+ * Mark files the file type filter excludes; links always pass
+ * @param {Array} attachments - Attachments after export formats are expanded
+ * @param {Object} filter - {mode: "all"|"include"|"exclude", extensions}
+ * @returns {Array} - Copies of the attachments, excluded ones carrying filtered: reason
+ */
+function filterFileTypes(attachments, filter) {
+  if (filter.mode === "all") return attachments;
+  
+  return attachments.map(attachment => {
+    if (attachment.kind === "link") return attachment;
+    const ext = getPlannedFilename(attachment).match(/\.([a-zA-Z0-9]+)$/)?.[1].toLowerCase() || "";
+    const listed = filter.extensions.includes(ext);
+    if (filter.mode === "include" ? listed : !listed) return attachment;
+    return { ...attachment, filtered: `File type ${ext ? `.${ext}` : "without extension"} is filtered out in settings` };
+  });
+}
+
+// =============================================================================
+// ASSIGNMENT DETAILS
+// =============================================================================
+
+/**
+ * Save assignment.md and assignment.json for every assignment of a session
+ * @param {Array} detailsList - Details from the content script, each with its folder (null for the session root)
+ * @param {string} sessionPrefix - "<downloadPath>/<sessionFolder>/"
+ */
+async function saveAssignmentDetails(detailsList, sessionPrefix) {
+  for (const details of detailsList) {
+    const subfolder = sanitizeFolderPath(details.folder);
+    const folderPrefix = subfolder ? `${sessionPrefix}${subfolder}/` : sessionPrefix;
+    
+    for (const file of buildAssignmentFiles(details)) {
+      await saveTextFile(`${folderPrefix}${file.name}`, file.text, file.mimeType, "overwrite")
+        .catch((error) => console.error(`[ilovegcr] Failed to save ${file.name}:`, error));
+    }
+  }
+}
+
+/**
+ * Save assignment details for an incremental run that has no files to download
+ * @param {string} assignmentName - Name the run's folder is made from, as in handleDownloadRequest
+ * @param {Array} detailsList - Details as for saveAssignmentDetails
+ */
+async function saveIncrementalDetails(assignmentName, detailsList) {
+  const { downloadRoot, folderTemplate } = await getSettings();
+  const folderName = sanitizeFolderName(assignmentName || "Classroom_Downloads");
+  const sessionFolder = renderFolderTemplate(folderTemplate, folderName, true);
+  await saveAssignmentDetails(detailsList, `${downloadRoot}/${sessionFolder}/`);
+}
+
+/**
+ * Build the human-readable and machine-readable copies of an assignment's details
+ * @param {Object} details - Details from the content script
+ * @returns {Array} - Array of {name, text, mimeType} objects
+ */
+function buildAssignmentFiles(details) {
+  const { folder, ...fields } = details;
+  const json = { schemaVersion: 1, savedAt: new Date().toISOString(), ...fields };
+  
+  return [
+    { name: "assignment.md", text: buildAssignmentMarkdown(fields), mimeType: "text/markdown" },
+    { name: "assignment.json", text: `${JSON.stringify(json, null, 2)}\n`, mimeType: "application/json" }
+  ];
+}
+
+/**
+ * Render assignment details as Markdown
+ */
+function buildAssignmentMarkdown(details) {
+  const lines = [`# ${details.title || "Assignment"}`, ""];
+  const facts = [
+    ["Teacher", details.teacher],
+    ["Posted", details.postedText],
+    ["Due", details.dueText || "No due date"],
+    ["Points", details.points ?? "Ungraded"],
+    ["Topic", details.topic],
+    ["Link", details.url]
+  ].filter(([, value]) => value !== null && value !== undefined && value !== "");
+  
+  facts.forEach(([label, value]) => lines.push(`- **${label}:** ${value}`));
+  lines.push("", "## Instructions", "", details.instructions || "_No instructions._", "");
+  
+  if (details.rubric?.length > 0) {
+    lines.push("## Rubric", "");
+    details.rubric.forEach(criterion => {
+      lines.push(`### ${criterion.criterion}`, "");
+      if (criterion.description) lines.push(criterion.description, "");
+      criterion.levels.forEach(level => {
+        const points = level.points !== null ? `${level.points} pts` : "";
+        const heading = [points, level.title].filter(Boolean).join(" · ");
+        lines.push(`- **${heading}**${level.description ? `: ${level.description.replace(/\n/g, " ")}` : ""}`);
+      });
+      lines.push("");
+    });
+  }
+  
+  if (details.comments?.length > 0) {
+    lines.push("## Class comments", "");
+    details.comments.forEach(comment => {
+      const byline = [comment.author, comment.date].filter(Boolean).join(", ");
+      lines.push(`- **${byline || "Unknown"}:** ${comment.text.replace(/\n/g, "\n  ")}`);
+    });
+    lines.push("");
+  }
+  
+  return lines.join("\n");
+}
+
+// =============================================================================
+// LINK SHORTCUTS
+// =============================================================================
+
+/**
+ * Save a YouTube/Form/web link as shortcut files for Windows, Linux and macOS
+ * @param {Object} link - {url, filename, folder?, kind: 'link'} object
+ * @param {Object} job - Job the link belongs to
+ * @param {number} index - Index of the link within the job
+ * @param {string} sessionPrefix - "<downloadPath>/<sessionFolder>/"
+ * @param {string} conflictAction - Chrome conflict action for existing files
+ * @returns {Promise<Object>} - Result entry for the link
+ */
+async function saveLinkAttachment(link, job, index, sessionPrefix, conflictAction) {
+  const subfolder = getAttachmentFolder(link);
+  const folderPrefix = subfolder ? `${sessionPrefix}${subfolder}/` : sessionPrefix;
+  
+  updateJobFile(job, index, { state: "resolving", error: null });
+  try {
+    const shortcuts = buildLinkShortcuts(link);
+    let downloadId;
+    for (const shortcut of shortcuts) {
+      downloadId = await saveTextFile(`${folderPrefix}${shortcut.name}`, shortcut.text, shortcut.mimeType, conflictAction);
+    }
+    updateJobFile(job, index, { state: "completed", downloadId });
+    const path = `${folderPrefix}${shortcuts[0].name}`.slice(sessionPrefix.length);
+    return { url: link.url, success: true, downloadId, path };
+  } catch (error) {
+    updateJobFile(job, index, { state: "failed", error: error.message });
+    console.error(`[ilovegcr] Failed to save link: ${link.url}`, error);
+    return { url: link.url, success: false, error: error.message };
+  }
+}
+
+/**
+ * Build .url (Windows), .desktop (Linux) and .webloc (macOS) shortcuts for a link
+ * @param {Object} link - {url, filename} object
+ * @returns {Array} - Array of {name, text, mimeType} objects
+ */
+function buildLinkShortcuts(link) {
+  const name = sanitizeFilename(link.filename || link.url) + (link.nameSuffix || "");
+  const title = link.filename || link.url;
+  
+  return [
+    {
+      name: `${name}.url`,
+      text: `[InternetShortcut]\r\nURL=${link.url}\r\n`,
+      mimeType: "application/internet-shortcut"
+    },
+    {
+      name: `${name}.desktop`,
+      text: `[Desktop Entry]\nType=Link\nName=${title.replace(/[\r\n]/g, " ")}\nURL=${link.url}\nIcon=text-html\n`,
+      mimeType: "application/x-desktop"
+    },
+    {
+      name: `${name}.webloc`,
+      text: `<?xml version="1.0" encoding="UTF-8"?>\n` +
+        `<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">\n` +
+        `<plist version="1.0">\n<dict>\n\t<key>URL</key>\n\t<string>${escapeHtml(link.url)}</string>\n</dict>\n</plist>\n`,
+      mimeType: "application/x-apple-plist"
+    }
+  ];
+}
+
+/**
+ * Build an index.html listing every file and link of a session with its title
+ * @param {string} title - Assignment (or course) name
+ * @param {Array} attachments - Attachments of the session
+ * @param {Array} results - Results aligned with attachments; results[i].path is relative to the session folder
+ * @returns {string} - HTML document
+ */
+function buildSessionIndex(title, attachments, results) {
+  const linkLabels = { youtube: "YouTube video", form: "Google Form", web: "Web link" };
+  
+  const rows = attachments.map((attachment, index) => {
+    const result = results[index] || {};
+    const name = escapeHtml(attachment.filename || attachment.url);
+    
+    if (attachment.kind === "link") {
+      return `<li><a href="${escapeHtml(attachment.url)}">${name}</a> <small>${linkLabels[attachment.linkType] || "Link"}</small></li>`;
+    }
+    if (!result.success || result.skipped || !result.path) {
+      const note = result.skipped
+        ? escapeHtml(result.reason || "unchanged, not downloaded this time")
+        : `not downloaded: ${escapeHtml(result.error || "unknown error")}`;
+      return `<li>${name} <small>${note}</small></li>`;
+    }
+    const href = result.path.split("/").map(encodeURIComponent).join("/");
+    return `<li><a href="${href}">${name}</a> <small>${escapeHtml(result.path)}</small></li>`;
+  });
+  
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(title || "Classroom download")}</title>
+  <style>
+    body { font-family: 'Segoe UI', Roboto, Arial, sans-serif; max-width: 760px; margin: 32px auto; color: #202124; }
+    li { margin-bottom: 6px; }
+    small { color: #5f6368; margin-left: 6px; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title || "Classroom download")}</h1>
+  <p>Saved by iloveGCR on ${escapeHtml(new Date().toLocaleString())}</p>
+  <ul>
+    ${rows.join("\n    ")}
+  </ul>
+</body>
+</html>
+`;
+}
+
+/**
+ * Save generated text (shortcuts, index pages) as a file
+ * @param {string} fullPath - Path relative to the Downloads folder
+ * @param {string} text - File content
+ * @param {string} mimeType - Content type
+ * @param {string} conflictAction - Chrome conflict action for existing files
+ * @returns {Promise<number>} - Download ID
+ */
+async function saveTextFile(fullPath, text, mimeType, conflictAction = "uniquify") {
+  const dataUrl = await blobToDataUrl(new Blob([text], { type: mimeType }));
+  const filename = fullPath.split("/").pop();
+  return await directDownload(dataUrl, fullPath, filename, conflictAction);
+}
+
+/**
+ * Escape text for use in generated HTML/XML
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// =============================================================================
+// ZIP ARCHIVE
+// =============================================================================
+
+// Largest a ZIP part grows before it is written and its files are let go of. The
+// archive passes through a data: URL, which briefly costs several times its size.
+const MAX_ZIP_PART_BYTES = 200 * 1024 * 1024;
+// Largest single file taken into an archive. Bigger ones are skipped without being
+// read, rather than held whole in memory next to a part.
+const MAX_ZIP_FILE_BYTES = 100 * 1024 * 1024;
+
+/**
+ * Fetch every attachment and save them as one <Assignment>_<timestamp>.zip.
+ * The archive keeps the same folder layout as a regular download; files that
+ * could not be fetched are listed in _errors.txt inside the archive. Sessions
+ * larger than MAX_ZIP_PART_BYTES are split into _part1.zip, _part2.zip... as
+ * they are fetched, so memory holds at most one part; the parts unpack into one folder.
+ * Files over MAX_ZIP_FILE_BYTES are skipped.
+ * @param {Array} attachments - Array of {url, filename, folder?} objects
+ * @param {Object} job - Progress-tracking job for this session
+ * @param {Object} session - {downloadPath, folderName, sessionFolder, concurrency, collisionPolicy, options};
+ *   sessionFolder is also the archive name, options as in handleDownloadRequest
+ * @returns {Promise<Array>} - Results of download attempts
+ */
+async function handleZipRequest(attachments, job, session) {
+  const { downloadPath, folderName, sessionFolder, concurrency, collisionPolicy, options } = session;
+  const results = [];
+  const failures = [];
+  const manifest = [];
+  // An archive can't hold two entries of one name, so there the first one keeps it
+  const names = createNameReservations(collisionPolicy === "overwrite" ? "skip" : collisionPolicy);
+  // Fetched files waiting for the next part: {index, entries, syncKey?, validators?, sha256?}
+  const pending = [];
+  let pendingBytes = 0;
+  let partCount = 0;
+  
+  /**
+   * Write the waiting files, plus any session files, as the next part. Its files
+   * count as completed once it is written, or as failed when it can't be.
+   */
+  const writePart = async (sessionFiles = [], final = false) => {
+    const batch = pending.splice(0).sort((a, b) => a.index - b.index);
+    pendingBytes = 0;
+    partCount++;
+    const archiveName = final && partCount === 1 ? `${sessionFolder}.zip` : `${sessionFolder}_part${partCount}.zip`;
+    
+    try {
+      const archive = createZipArchive([...batch.flatMap(item => item.entries), ...sessionFiles]);
+      const downloadId = await directDownload(await blobToDataUrl(archive), `${downloadPath}/${archiveName}`, archiveName);
+      console.log(`[ilovegcr] Saved ${archiveName} (${batch.length} files)`);
+      
+      // The archive is a data: URL, so it is written as soon as the download starts
+      for (const item of batch) {
+        results[item.index].downloadId = downloadId;
+        if (item.syncKey) {
+          await recordSync(item.syncKey, `${archiveName}/${item.entries[0].path}`, item.validators, item.sha256);
+        }
+        updateJobFile(job, item.index, { state: "completed", downloadId, speed: 0 });
+      }
+    } catch (error) {
+      batch.forEach(item => {
+        delete manifest[item.index];
+        updateJobFile(job, item.index, { state: "failed", error: `Could not save ${archiveName}: ${error.message}`, speed: 0 });
+        results[item.index] = { url: attachments[item.index].url, success: false, error: error.message };
+      });
+      throw error;
+    }
+  };
+  
+  const addToPart = async (item) => {
+    pending.push(item);
+    pendingBytes += item.entries.reduce((sum, entry) => sum + entry.data.length, 0);
+    if (pendingBytes < MAX_ZIP_PART_BYTES) return;
+    await writePart().catch((error) => console.error("[ilovegcr] Failed to save ZIP part:", error));
+  };
+  
+  console.log(`[ilovegcr] Building ZIP archive of ${attachments.length} files: ${sessionFolder}.zip`);
+  
+  await runDownloadQueue(attachments, concurrency, async (attachment, index) => {
+    if (attachment.collision || attachment.filtered) {
+      results[index] = skipCollision(attachment, job, index);
+      return;
+    }
+    if (attachment.listError) {
+      results[index] = failUnlistedFolder(attachment, job, index);
+      return;
+    }
+    
+    const filename = getPlannedFilename(attachment);
+    const subfolder = getAttachmentFolder(attachment);
+    const entryPath = [sessionFolder, subfolder, filename].filter(Boolean).join("/");
+    
+    if (attachment.kind === "link") {
+      const encoder = new TextEncoder();
+      const entries = buildLinkShortcuts(attachment).map(shortcut => ({
+        path: [sessionFolder, subfolder, shortcut.name].filter(Boolean).join("/"),
+        data: encoder.encode(shortcut.text)
+      }));
+      results[index] = { url: attachment.url, success: true, path: entries[0].path.slice(sessionFolder.length + 1) };
+      await addToPart({ index, entries });
+      return;
+    }
+    
+    let fetchedItem = null;
+    try {
+      const syncKey = options.incremental ? getSyncKey(attachment, folderName) : null;
+      const syncState = syncKey ? await checkSyncState(attachment, syncKey, job, index) : null;
+      if (syncState?.unchanged) {
+        updateJobFile(job, index, { state: "skipped", error: null });
+        results[index] = { url: attachment.url, success: true, skipped: true };
+        return;
+      }
+      
+      const fetched = await withRetries(async () => {
+        updateJobFile(job, index, { state: "resolving", error: null });
+        const fetched = await fetchAttachmentBytes(attachment, (bytesReceived, totalBytes) => {
+          updateJobFile(job, index, { state: "downloading", bytesReceived, totalBytes });
+        }, MAX_ZIP_FILE_BYTES);
+        // The bytes are in hand, so the check is just a look at them
+        assertFileSignature(fetched.filename, fetched.data);
+        return fetched;
+      }, (attempt, delay, error) => {
+        updateJobFile(job, index, { state: "retrying", error: describeRetry(attempt, delay, error) });
+      });
+      const { data } = fetched;
+      const servedName = reserveSavedName(names, attachment, fetched.filename);
+      const servedPath = [sessionFolder, subfolder, servedName].filter(Boolean).join("/");
+      if (servedName !== filename) updateJobFile(job, index, { savedAs: servedName });
+      
+      const sha256 = await sha256Hex(data);
+      manifest[index] = { path: servedPath.slice(sessionFolder.length + 1), url: attachment.url, size: data.length, sha256, status: "verified" };
+      fetchedItem = { index, entries: [{ path: servedPath, data }], syncKey, validators: syncState?.validators, sha256 };
+      results[index] = { url: attachment.url, success: true, path: servedPath.slice(sessionFolder.length + 1) };
+      console.log(`[ilovegcr] Added to archive: ${servedPath} (${data.length} bytes)`);
+    } catch (error) {
+      if (error.collision || error.tooLarge) {
+        results[index] = skipCollision({ ...attachment, collision: error.message }, job, index);
+        return;
+      }
+      updateJobFile(job, index, { state: "failed", error: error.message });
+      failures.push({ attachment, path: entryPath, error });
+      results[index] = { url: attachment.url, success: false, error: error.message };
+      console.error(`[ilovegcr] Failed to fetch for archive: ${attachment.filename}`, error);
+    }
+    if (fetchedItem) await addToPart(fetchedItem);
+  });
+  
+  // An incremental archive with nothing new stays empty rather than carrying only details
+  const hasFiles = partCount > 0 || pending.length > 0;
+  const sessionFiles = [];
+  const encoder = new TextEncoder();
+  const details = hasFiles ? options.details || [] : [];
+  details.forEach(entry => {
+    const subfolder = sanitizeFolderPath(entry.folder);
+    buildAssignmentFiles(entry).forEach(file => {
+      sessionFiles.push({ path: [sessionFolder, subfolder, file.name].filter(Boolean).join("/"), data: encoder.encode(file.text) });
+    });
+  });
+  
+  if (attachments.some(attachment => attachment.kind === "link")) {
+    const html = buildSessionIndex(sessionFolder, attachments, results);
+    sessionFiles.push({ path: `${sessionFolder}/index.html`, data: encoder.encode(html) });
+  }
+  
+  if (manifest.some(Boolean)) {
+    sessionFiles.push({ path: `${sessionFolder}/manifest.json`, data: encoder.encode(buildManifest(sessionFolder, manifest)) });
+  }
+  
+  if (failures.length > 0) {
+    const lines = failures.map(({ attachment, path, error }) =>
+      `- ${path}\n  Source: ${attachment.url}\n  Error: ${error.message}`);
+    const errorList = `The following files could not be downloaded:\n\n${lines.join("\n\n")}\n`;
+    sessionFiles.push({ path: `${sessionFolder}/_errors.txt`, data: encoder.encode(errorList) });
+  }
+  
+  if (!hasFiles && sessionFiles.length === 0) {
+    if (results.length > 0 && results.every(result => result.skipped)) {
+      console.log("[ilovegcr] Nothing new to archive");
+      return results;
+    }
+    throw new Error("No files could be added to the archive");
+  }
+  
+  await writePart(sessionFiles, true);
+  return results;
+}
+
+// CRC-32 lookup table (IEEE polynomial), built once on first use
+let crcTable = null;
+
+/**
+ * Compute the CRC-32 checksum required by ZIP entries
+ * @param {Uint8Array} data - Entry content
+ * @returns {number} - Unsigned CRC-32
+ */
+function crc32(data) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < data.length; i++) {
+    crc = crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Build an uncompressed (stored) ZIP archive.
+ * Attachments are mostly already-compressed formats, so deflating buys little.
+ * @param {Array} entries - Array of {path, data: Uint8Array} objects
+ * @returns {Blob} - The archive
+ */
+function createZipArchive(entries) {
+  const encoder = new TextEncoder();
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+  
+  const parts = [];
+  const centralDirectory = [];
+  let offset = 0;
+  
+  for (const entry of entries) {
+    const name = encoder.encode(entry.path);
+    const crc = crc32(entry.data);
+    const size = entry.data.length;
+    
+    if (offset + size > 0xFFFFFFFF) {
+      throw new Error("Archive is larger than 4 GB; download without ZIP instead");
+    }
+    
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034B50, true);   // Local file header signature
+    local.setUint16(4, 20, true);           // Version needed to extract
+    local.setUint16(6, 0x0800, true);       // Flags: UTF-8 file names
+    local.setUint16(8, 0, true);            // Compression: stored
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, size, true);        // Compressed size
+    local.setUint32(22, size, true);        // Uncompressed size
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);           // Extra field length
+    
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014B50, true); // Central directory signature
+    central.setUint16(4, 20, true);         // Version made by
+    central.setUint16(6, 20, true);         // Version needed to extract
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, dosTime, true);
+    central.setUint16(14, dosDate, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, size, true);
+    central.setUint32(24, size, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);    // Offset of local header
+    
+    parts.push(local, name, entry.data);
+    centralDirectory.push(central, name);
+    offset += 30 + name.length + size;
+  }
+  
+  const directorySize = centralDirectory.reduce((total, part) => total + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true);       // End of central directory signature
+  end.setUint16(8, entries.length, true);   // Entries on this disk
+  end.setUint16(10, entries.length, true);  // Total entries
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true);          // Central directory offset
+  
+  return new Blob([...parts, ...centralDirectory, end], { type: 'application/zip' });
+}
+
+/**
+ * Convert a Blob to a data: URL.
+ * Service workers have no URL.createObjectURL, so downloads of generated
+ * content go through data URLs instead.
+ * @param {Blob} blob - Content to convert
+ * @returns {Promise<string>} - data: URL
+ */
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error || new Error("Could not read generated file"));
+    reader.readAsDataURL(blob);
+  });
+}
+
+// =============================================================================
+// DOWNLOAD QUEUE
+// =============================================================================
+
+const MAX_RETRIES = 4;
+const BASE_RETRY_DELAY_MS = 2000;
+const MAX_RETRY_DELAY_MS = 2 * 60 * 1000;
+
+// While Drive is throttling, no worker starts a new request before this time
+let throttledUntil = 0;
+
+// downloadId -> {resolve, reject} for requests waiting on Chrome to finish a file
+const downloadWaiters = new Map();
+
+/**
+ * Run tasks with at most `concurrency` of them in flight at once
+ * @param {Array} items - Work items
+ * @param {number} concurrency - Maximum parallel workers
+ * @param {Function} worker - async (item, index) => void
+ */
+async function runDownloadQueue(items, concurrency, worker) {
+  let next = 0;
+  
+  async function runWorker() {
+    while (next < items.length) {
+      const index = next++;
+      await worker(items[index], index);
+    }
+  }
+  
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+}
+
+/**
+ * Run a task, retrying transient failures with exponential backoff and jitter.
+ * Throttling responses pause every worker, not just the one that hit them.
+ * @param {Function} task - async () => result
+ * @param {Function} onRetry - Callback(attempt, delayMs, error) before each wait
+ * @returns {Promise<*>} - Result of the task
+ */
+async function withRetries(task, onRetry = () => {}) {
+  for (let attempt = 0; ; attempt++) {
+    await waitForThrottle();
+    try {
+      return await task();
+    } catch (error) {
+      if (attempt >= MAX_RETRIES || !isRetryableError(error)) {
+        throw error;
+      }
+      
+      const delay = getRetryDelay(error, attempt);
+      if (isThrottleError(error)) {
+        throttledUntil = Math.max(throttledUntil, Date.now() + delay);
+        console.warn(`[ilovegcr] Drive is throttling, pausing all downloads for ${Math.ceil(delay / 1000)}s`);
+      }
+      
+      onRetry(attempt + 1, delay, error);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Backoff delay for a failed attempt; Retry-After wins when the server sent one
+ */
+function getRetryDelay(error, attempt) {
+  const backoff = Math.min(MAX_RETRY_DELAY_MS, BASE_RETRY_DELAY_MS * Math.pow(2, attempt));
+  const jittered = backoff / 2 + Math.random() * backoff / 2;
+  return Math.min(MAX_RETRY_DELAY_MS, Math.max(jittered, error.retryAfter || 0));
+}
+
+/**
+ * Wait until a global throttle pause is over
+ */
+async function waitForThrottle() {
+  while (Date.now() < throttledUntil) {
+    await sleep(throttledUntil - Date.now());
+  }
+}
+
+/**
+ * Check whether an error is worth retrying (throttling, server or network trouble)
+ */
+function isRetryableError(error) {
+  if (error.retryable) return true;
+  if (isThrottleError(error)) return true;
+  if (error.status >= 500) return true;
+  // fetch() rejects with a TypeError on network failures
+  return error instanceof TypeError;
+}
+
+/**
+ * Check whether an error means the server asked us to slow down
+ */
+function isThrottleError(error) {
+  return error.status === 429;
+}
+
+/**
+ * Build an Error carrying the HTTP status and any Retry-After delay
+ * @param {Response} response - Failed fetch response
+ * @returns {Error}
+ */
+function createHttpError(response) {
+  const error = new Error(`HTTP ${response.status}`);
+  error.status = response.status;
+  
+  const retryAfter = response.headers.get('retry-after');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const delay = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+    if (delay > 0) error.retryAfter = delay;
+  }
+  return error;
+}
+
+/**
+ * Recognise Google's sign-in and "You need access" pages
+ * @param {string} html - Page content
+ * @param {string} finalUrl - URL after redirects
+ * @param {string} requestUrl - URL that was requested (carries authuser)
+ * @returns {Error|null} - Access denied error, or null for other pages
+ */
+function getAccessDeniedError(html, finalUrl, requestUrl) {
+  if (/accounts\.google\.com\/(ServiceLogin|v3\/signin|AccountChooser)/i.test(finalUrl)) {
+    return createAccessDeniedError(requestUrl, "sign-in required");
+  }
+  if (/you need (access|permission)|request access|ask for access|don't have (access|permission)/i.test(html)) {
+    return createAccessDeniedError(requestUrl, "request access from the owner");
+  }
+  return null;
+}
+
+/**
+ * Error for files the chosen Google account may not open; not retried
+ * @param {string} requestUrl - URL that was requested
+ * @param {string} detail - What the server said
+ * @returns {Error} - Error with code "ACCESS_DENIED"
+ */
+function createAccessDeniedError(requestUrl, detail) {
+  let account = null;
+  try {
+    account = new URL(requestUrl).searchParams.get('authuser');
+  } catch (error) {
+    account = null;
+  }
+  
+  const who = account ? ` for account ${/^\d+$/.test(account) ? `#${account}` : account}` : "";
+  const error = new Error(`Access denied${who} (${detail}); open it in the account that has access`);
+  error.code = "ACCESS_DENIED";
+  error.status = 403;
+  return error;
+}
+
+/**
+ * Detect Drive's "too many users have downloaded this file" / quota pages
+ */
+function isDriveQuotaPage(html) {
+  return /too many users have viewed or downloaded|download quota|quota (?:has been )?exceeded|unusual traffic/i.test(html);
+}
+
+/**
+ * Short description of a scheduled retry, shown in the popup
+ */
+function describeRetry(attempt, delay, error) {
+  return `${error.message}; retry ${attempt}/${MAX_RETRIES} in ${Math.ceil(delay / 1000)}s`;
+}
+
+/**
+ * Wait for Chrome to finish writing a download
+ * @param {number} downloadId - Download to wait for
+ * @returns {Promise<number>} - The download ID once complete
+ */
+async function waitForDownload(downloadId) {
+  const settled = new Promise((resolve, reject) => {
+    downloadWaiters.set(downloadId, { resolve, reject });
+  });
+  
+  // The download may already have finished before we started listening
+  const [item] = await browserAPI.downloads.search({ id: downloadId });
+  if (item) settleDownload(downloadId, item.state, item.error);
+  
+  return settled;
+}
+
+/**
+ * Resolve or reject the waiter for a download once it reaches a final state
+ * @param {number} downloadId - Download ID
+ * @param {string} state - Chrome download state
+ * @param {string} reason - Chrome interrupt reason, if any
+ */
+function settleDownload(downloadId, state, reason) {
+  const waiter = downloadWaiters.get(downloadId);
+  if (!waiter || state === "in_progress") return;
+  
+  downloadWaiters.delete(downloadId);
+  if (state === "complete") {
+    waiter.resolve(downloadId);
+    return;
+  }
+  
+  const error = new Error(`Download interrupted: ${reason || "unknown reason"}`);
+  error.retryable = /^(NETWORK_|SERVER_FAILED|SERVER_UNREACHABLE)/.test(reason || "");
+  waiter.reject(error);
+}
+
+/**
+ * Promise-based setTimeout
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// =============================================================================
+// INCREMENTAL SYNC
+// =============================================================================
+
+const SYNC_INDEX_KEY = "syncIndex";
+
+// Cached copy of the index in storage.local:
+// assignment key -> file ID -> {path, downloadedAt, etag, lastModified, size}
+let syncIndex = null;
+
+/**
+ * Load the sync index once per service worker lifetime
+ * @returns {Promise<Object>} - The index
+ */
+async function loadSyncIndex() {
+  if (!syncIndex) {
+    const stored = await browserAPI.storage.local.get({ [SYNC_INDEX_KEY]: {} });
+    syncIndex = syncIndex || stored[SYNC_INDEX_KEY];
+  }
+  return syncIndex;
+}
+
+/**
+ * Key an attachment by its assignment and Drive/Docs file ID
+ * @param {Object} attachment - {url, assignmentId?, folder?} object
+ * @param {string} folderName - Session folder name, used when no assignment ID is known
+ * @returns {{assignment: string, file: string}}
+ */
+function getSyncKey(attachment, folderName) {
+  const assignment = attachment.assignmentId
+    || [folderName, sanitizeFolderPath(attachment.folder)].filter(Boolean).join("/");
+  const file = [
+    getGoogleFileId(attachment.url) || attachment.url,
+    attachment.export?.format,
+    attachment.export?.part?.id
+  ].filter(Boolean).join(":");
+  return { assignment, file };
+}
+
+/**
+ * Probe an attachment and compare its validators with the last download
+ * @param {Object} attachment - Attachment to check
+ * @param {Object} syncKey - Key from getSyncKey
+ * @param {Object} job - Job the attachment belongs to
+ * @param {number} index - File index within the job
+ * @returns {Promise<{unchanged: boolean, validators: Object}>}
+ */
+async function checkSyncState(attachment, syncKey, job, index) {
+  const entries = await loadSyncIndex();
+  const previous = entries[syncKey.assignment]?.[syncKey.file];
+  
+  const validators = await withRetries(() => {
+    updateJobFile(job, index, { state: "resolving", error: null });
+    return probeValidators(attachment);
+  }, (attempt, delay, error) => {
+    updateJobFile(job, index, { state: "retrying", error: describeRetry(attempt, delay, error) });
+  });
+  
+  return { unchanged: isUnchanged(previous, validators), validators, previous };
+}
+
+/**
+ * Fetch the response headers of an attachment without reading its body
+ * @param {Object} attachment - {url} object
+ * @returns {Promise<Object>} - {etag, lastModified, size}
+ */
+async function probeValidators(attachment) {
+  return await tryUrlCandidates(getDownloadUrlCandidates(attachment.url, attachment.export, attachment.account), async (downloadUrl) => {
+    const { response } = await resolveDownloadResponse(downloadUrl);
+    response.body?.cancel();
+    return {
+      etag: response.headers.get('etag'),
+      lastModified: response.headers.get('last-modified'),
+      size: parseInt(response.headers.get('content-length') || "0", 10) || null
+    };
+  });
+}
+
+/**
+ * Decide whether a file is the same as last time.
+ * Without an ETag or Last-Modified we cannot tell, so the file is fetched again.
+ */
+function isUnchanged(previous, validators) {
+  if (!previous) return false;
+  if (validators.etag && previous.etag) return validators.etag === previous.etag;
+  if (validators.lastModified && previous.lastModified) return validators.lastModified === previous.lastModified;
+  return false;
+}
+
+/**
+ * Remember a successful download in the sync index
+ * @param {Object} syncKey - Key from getSyncKey
+ * @param {string} path - Saved path
+ * @param {Object} validators - Validators from probeValidators
+ * @param {string} sha256 - Hash of the saved bytes, kept for later manifests
+ */
+async function recordSync(syncKey, path, validators = {}, sha256 = null) {
+  const index = await loadSyncIndex();
+  index[syncKey.assignment] = index[syncKey.assignment] || {};
+  index[syncKey.assignment][syncKey.file] = {
+    path,
+    downloadedAt: Date.now(),
+    etag: validators.etag || null,
+    lastModified: validators.lastModified || null,
+    size: validators.size || null,
+    sha256
+  };
+  await browserAPI.storage.local.set({ [SYNC_INDEX_KEY]: index });
+}
+
+// =============================================================================
+// FILE SIZES
+// =============================================================================
+
+// Confirm pages followed per probe before giving up
+const MAX_SIZE_PROBE_HOPS = 3;
+
+// Sizes found while the worker runs, by first URL candidate; null when the server doesn't say
+const fileSizes = new Map();
+
+/**
+ * Find how big an attachment is without downloading it.
+ * Google exports are generated on request and usually come without a length.
+ * @param {Object} attachment - {url, export?, account?} object
+ * @returns {Promise<number|null>} - Size in bytes, or null when unknown
+ */
+async function probeFileSize(attachment) {
+  const urls = getDownloadUrlCandidates(attachment.url, attachment.export, attachment.account);
+  if (fileSizes.has(urls[0])) return fileSizes.get(urls[0]);
+  
+  const size = await tryUrlCandidates(urls, (url) => probeUrlSize(url));
+  fileSizes.set(urls[0], size);
+  return size;
+}
+
+/**
+ * Ask a server for a file's size: a HEAD request first, then a one-byte range
+ * request, following Drive confirm pages the way resolveDownloadResponse does
+ * @param {string} url - Candidate URL
+ * @param {number} hops - Confirm pages followed so far
+ * @returns {Promise<number|null>} - Size in bytes, or null when unknown
+ */
+async function probeUrlSize(url, hops = 0) {
+  // Drive answers HEAD for its viewer page, so only a non-HTML answer counts
+  const head = await fetch(url, { method: 'HEAD', credentials: 'include', redirect: 'follow' }).catch(() => null);
+  if (head?.ok && !isHtmlLikeResponse((head.headers.get('content-type') || '').toLowerCase(), head.url)) {
+    const length = parseInt(head.headers.get('content-length') || "0", 10);
+    if (length > 0) return length;
+  }
+  
+  const response = await fetch(url, {
+    credentials: 'include',
+    redirect: 'follow',
+    headers: { Range: 'bytes=0-0' }
+  });
+  
+  if (!response.ok) {
+    throw response.status === 401 || response.status === 403
+      ? createAccessDeniedError(url, `HTTP ${response.status}`)
+      : createHttpError(response);
+  }
+  
+  const contentType = (response.headers.get('content-type') || '').toLowerCase();
+  if (!getServedFileInfo(response).attachment && isHtmlLikeResponse(contentType, response.url)) {
+    const html = await response.text();
+    let confirmedUrl = getDriveConfirmedDownloadUrl(html, response.url);
+    confirmedUrl = confirmedUrl && withSessionParams(confirmedUrl, url);
+    if (confirmedUrl && confirmedUrl !== url && hops < MAX_SIZE_PROBE_HOPS) {
+      return await probeUrlSize(confirmedUrl, hops + 1);
+    }
+    const accessError = getAccessDeniedError(html, response.url, url);
+    if (accessError) throw accessError;
+    throw new Error('Received HTML page instead of file content');
+  }
+  
+  response.body?.cancel();
+  return getResponseSize(response);
+}
+
+/**
+ * Read the full file size from a response to a range request
+ * @param {Response} response - Response to a "bytes=0-0" request
+ * @returns {number|null} - Size in bytes, or null when unknown
+ */
+function getResponseSize(response) {
+  const range = (response.headers.get('content-range') || '').match(/\/(\d+)\s*$/);
+  if (range) return parseInt(range[1], 10);
+  
+  // A server that ignores Range sends the whole file, with its length
+  if (response.status === 200) {
+    return parseInt(response.headers.get('content-length') || "0", 10) || null;
+  }
+  return null;
+}
+
+// =============================================================================
+// VERIFICATION
+// =============================================================================
+
+// Files up to this size are fetched into memory, checked, hashed and saved from those
+// same bytes (as a data: URL, about a third larger again). Larger files, and files of
+// unknown length, are not verified: Chrome fetches them and only its record is checked.
+const MAX_HASHED_BYTES = 32 * 1024 * 1024;
+
+// Leading bytes of each file family as [offset, bytes]; any one entry is enough
+const FILE_SIGNATURES = {
+  pdf: [[0, "%PDF-"]],
+  zip: [[0, "PK\x03\x04"], [0, "PK\x05\x06"]],
+  ole: [[0, "\xD0\xCF\x11\xE0\xA1\xB1\x1A\xE1"]],
+  png: [[0, "\x89PNG"]],
+  jpg: [[0, "\xFF\xD8\xFF"]],
+  gif: [[0, "GIF8"]],
+  webp: [[8, "WEBP"]],
+  bmp: [[0, "BM"]],
+  tiff: [[0, "II*\x00"], [0, "MM\x00*"]],
+  mp4: [[4, "ftyp"]],
+  matroska: [[0, "\x1A\x45\xDF\xA3"]],
+  mp3: [[0, "ID3"], [0, "\xFF\xFB"], [0, "\xFF\xFA"], [0, "\xFF\xF3"], [0, "\xFF\xF2"]],
+  wav: [[8, "WAVE"]],
+  avi: [[8, "AVI "]],
+  ogg: [[0, "OggS"]],
+  flac: [[0, "fLaC"]],
+  rar: [[0, "Rar!"]],
+  "7z": [[0, "7z\xBC\xAF\x27\x1C"]],
+  gz: [[0, "\x1F\x8B"]],
+  rtf: [[0, "{\\rtf"]]
+};
+
+// Extension -> signature family. Office Open XML and OpenDocument files are ZIP archives.
+const EXTENSION_SIGNATURES = {
+  pdf: "pdf",
+  docx: "zip", xlsx: "zip", pptx: "zip", odt: "zip", ods: "zip", odp: "zip", epub: "zip", zip: "zip",
+  doc: "ole", xls: "ole", ppt: "ole",
+  png: "png", jpg: "jpg", jpeg: "jpg", gif: "gif", webp: "webp", bmp: "bmp", tif: "tiff", tiff: "tiff",
+  mp4: "mp4", m4a: "mp4", m4v: "mp4", mov: "mp4", "3gp": "mp4", webm: "matroska", mkv: "matroska",
+  mp3: "mp3", wav: "wav", avi: "avi", ogg: "ogg", oga: "ogg", flac: "flac",
+  rar: "rar", "7z": "7z", gz: "gz", tgz: "gz", rtf: "rtf"
+};
+
+// Extensions that may legitimately hold markup
+const MARKUP_EXTENSIONS = ["html", "htm", "xhtml", "xml", "svg"];
+
+/**
+ * Throw when file content doesn't match the type its name promises. A web page in
+ * place of the file may be a passing quota or sign-in page, so that one is retried.
+ * @param {string} filename - Name the file is saved under
+ * @param {Uint8Array} bytes - File content
+ * @throws {Error} - With checkFailed set
+ */
+function assertFileSignature(filename, bytes) {
+  const problem = checkFileSignature(filename, bytes);
+  if (!problem) return;
+  
+  const error = new Error(`Check failed: ${problem}`);
+  error.checkFailed = true;
+  error.retryable = looksLikeHtml(bytes);
+  throw error;
+}
+
+/**
+ * Check Chrome's record of a finished download. A file Chrome fetched itself was
+ * never read here, so this is all it gets: a sign-in or quota page Chrome saved
+ * instead shows up as an HTML MIME type, and that page is removed.
+ * @param {Object} attempt - Result of attemptDownloadFromUrl
+ * @returns {Promise<Object|undefined>} - Chrome's DownloadItem
+ * @throws {Error} - With checkFailed set when Chrome saved a web page
+ */
+async function checkSavedDownload(attempt) {
+  const [item] = await browserAPI.downloads.search({ id: attempt.downloadId });
+  if (!item || attempt.sha256) return item;
+  
+  const ext = getFileExtension(item.filename.split(/[\\/]/).pop());
+  if (!/html/i.test(item.mime || "") || MARKUP_EXTENSIONS.includes(ext)) return item;
+  
+  await browserAPI.downloads.removeFile(attempt.downloadId).catch(() => {});
+  const error = new Error(`Check failed: saved file is a web page, not ${describeFileType(ext)}`);
+  error.checkFailed = true;
+  error.retryable = true;
+  throw error;
+}
+
+/**
+ * Check that file content matches the type its extension promises
+ * @param {string} filename - Saved filename
+ * @param {Uint8Array} bytes - File content
+ * @returns {string|null} - What is wrong, or null when the content fits
+ */
+function checkFileSignature(filename, bytes) {
+  const ext = getFileExtension(filename);
+  const family = EXTENSION_SIGNATURES[ext];
+  
+  if (family) {
+    if (FILE_SIGNATURES[family].some(([offset, magic]) => hasLeadingBytes(bytes, offset, magic))) return null;
+    if (bytes.length === 0) return "saved file is empty";
+    return looksLikeHtml(bytes)
+      ? `saved file is a web page, not ${describeFileType(ext)}`
+      : `content is not ${describeFileType(ext)}`;
+  }
+  
+  // Types without a signature (text, code, ...) only fail when a web page took their place
+  if (!MARKUP_EXTENSIONS.includes(ext) && looksLikeHtml(bytes)) return "saved file is a web page";
+  return null;
+}
+
+/**
+ * Compare bytes at an offset with a binary string
+ */
+function hasLeadingBytes(bytes, offset, magic) {
+  if (bytes.length < offset + magic.length) return false;
+  for (let i = 0; i < magic.length; i++) {
+    if (bytes[offset + i] !== magic.charCodeAt(i)) return false;
+  }
+  return true;
+}
+
+/**
+ * Detect an HTML document by how it starts
+ */
+function looksLikeHtml(bytes) {
+  const start = new TextDecoder().decode(bytes.subarray(0, 512)).replace(/^﻿/, "").trimStart();
+  return /^<(!doctype\s+html|html|head|body)\b/i.test(start);
+}
+
+/**
+ * "a PDF", "an MP4" for error messages
+ */
+function describeFileType(ext) {
+  const name = ext.toUpperCase();
+  // Read letter by letter: "an MP4", "a PDF"
+  return `${/^[AEFHILMNORSX8]/.test(name) ? "an" : "a"} ${name}`;
+}
+
+/**
+ * Lowercase extension of a filename, or "" when it has none
+ */
+function getFileExtension(filename) {
+  return filename.match(/\.([a-zA-Z0-9]+)$/)?.[1].toLowerCase() || "";
+}
+
+/**
+ * Hex SHA-256 of some bytes
+ */
+async function sha256Hex(bytes) {
+  const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", bytes));
+  return [...digest].map(byte => byte.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Build the manifest.json saved with a session
+ * @param {string} title - Assignment or course name
+ * @param {Array} files - {path, url, size, sha256, status, error} entries
+ * @returns {string} - JSON text
+ */
+function buildManifest(title, files) {
+  return JSON.stringify({
+    app: "iloveGCR",
+    title,
+    createdAt: new Date().toISOString(),
+    files: files.filter(Boolean)
+  }, null, 2);
+}
+
+// =============================================================================
+// JOB TRACKING
+// =============================================================================
+
+const PROGRESS_PORT_NAME = "ilovegcr-progress";
+const MAX_FINISHED_JOBS = 5;
+const PROGRESS_POLL_MS = 1000;
+
+// jobId -> job; mirrored to storage.session so a restarted worker keeps it
+const jobs = new Map();
+// downloadId -> {jobId, index}
+const downloadTargets = new Map();
+// Job files a running request is still working on (see getJobFileKey). Only that
+// request moves them to a final state; Chrome's events and the poller report bytes.
+const ownedFiles = new Set();
+// Connected popup ports
+const progressPorts = new Set();
+
+let progressTimer = null;
+let persistTimer = null;
+
+const jobsRestored = restoreJobs();
+
+/**
+ * Reload jobs saved by a previous service worker instance.
+ * Chrome keeps running the downloads it was handed, and those are followed again;
+ * files still being fetched or waiting their turn went with the old worker, so
+ * they are failed, which lets the job finish and Retry failed pick them up.
+ */
+async function restoreJobs() {
+  try {
+    const { jobs: saved = [] } = await browserAPI.storage.session.get({ jobs: [] });
+    saved.forEach(job => {
+      jobs.set(job.id, job);
+      job.files.forEach((file, index) => {
+        if (file.downloadId !== undefined) {
+          downloadTargets.set(file.downloadId, { jobId: job.id, index });
+        }
+      });
+    });
+    saved.filter(job => !job.finishedAt).forEach(job => {
+      job.files.forEach((file, index) => {
+        const terminal = ["completed", "failed", "skipped"].includes(file.state);
+        const withChrome = file.state === "downloading" && file.downloadId !== undefined;
+        if (terminal || withChrome) return;
+        updateJobFile(job, index, { state: "failed", error: "Interrupted: the extension was restarted", speed: 0 });
+      });
+    });
+    if (saved.some(job => !job.finishedAt)) startProgressPolling();
+  } catch (error) {
+    console.warn("[ilovegcr] Could not restore jobs:", error);
+  }
+}
+
+/**
+ * Create a job that tracks the state of every file in a download request
+ * @param {Array} attachments - Array of {url, filename} objects
+ * @param {string} assignmentName - Name shown for the job
+ * @param {string} courseName - Course the files come from, when known
+ * @param {string} requestId - Id the requester gave the request, when any
+ * @returns {Promise<Object>} - The new job
+ */
+async function createJob(attachments, assignmentName, courseName = null, requestId = null) {
+  await jobsRestored;
+  
+  const job = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    requestId,
+    assignmentName: assignmentName || "Classroom_Download",
+    courseName,
+    startedAt: Date.now(),
+    finishedAt: null,
+    files: attachments.map(attachment => ({
+      url: attachment.url,
+      filename: attachment.filename,
+      format: attachment.export?.format || null,
+      savedAs: null,
+      state: "queued",
+      bytesReceived: 0,
+      totalBytes: 0,
+      speed: 0,
+      error: null,
+      source: getHistorySource(attachment)
+    }))
+  };
+  
+  jobs.set(job.id, job);
+  pruneFinishedJobs();
+  broadcastJob(job);
+  return job;
+}
+
+/**
+ * Apply changes to one file of a job and notify connected popups
+ * @param {Object} job - Job to update
+ * @param {number} index - File index within the job
+ * @param {Object} changes - Fields to merge into the file entry
+ */
+function updateJobFile(job, index, changes) {
+  const file = job.files[index];
+  if (!file) return;
+  
+  Object.assign(file, changes);
+  
+  const terminal = ["completed", "failed", "skipped"];
+  if (!job.finishedAt && job.files.every(entry => terminal.includes(entry.state))) {
+    job.finishedAt = Date.now();
+    const completed = job.files.filter(entry => entry.state === "completed").length;
+    console.log(`[ilovegcr] Job finished: ${completed}/${job.files.length} files completed`);
+    recordHistory(job);
+    notifyJobFinished(job);
+  }
+  
+  broadcastJob(job);
+}
+
+/**
+ * Keep what is needed to download an attachment again from the history
+ */
+function getHistorySource(attachment) {
+  const { url, filename, folder, section, kind, linkType, account, pageUrl, assignmentName, assignmentId } = attachment;
+  return { url, filename, folder, section, kind, linkType, account, pageUrl, assignmentName, assignmentId, export: attachment.export };
+}
+
+/**
+ * Key of one file of one job, as kept in ownedFiles
+ */
+function getJobFileKey(jobId, index) {
+  return `${jobId}:${index}`;
+}
+
+/**
+ * Link a Chrome download to a job file so its progress can be followed
+ */
+function trackDownload(job, index, downloadId) {
+  downloadTargets.set(downloadId, { jobId: job.id, index });
+  updateJobFile(job, index, { state: "downloading", downloadId });
+  startProgressPolling();
+}
+
+/**
+ * Poll byte counts of active downloads (downloads.onChanged does not report them)
+ */
+function startProgressPolling() {
+  if (progressTimer) return;
+  
+  progressTimer = setInterval(async () => {
+    const active = [];
+    jobs.forEach(job => job.files.forEach((file, index) => {
+      if (file.state === "downloading" && file.downloadId !== undefined) {
+        active.push({ job, file, index });
+      }
+    }));
+    
+    if (active.length === 0) {
+      clearInterval(progressTimer);
+      progressTimer = null;
+      return;
+    }
+    
+    for (const { job, file, index } of active) {
+      const [item] = await browserAPI.downloads.search({ id: file.downloadId });
+      if (!item) continue;
+      
+      const elapsed = PROGRESS_POLL_MS / 1000;
+      const speed = Math.max(0, (item.bytesReceived - file.bytesReceived) / elapsed);
+      updateJobFile(job, index, { bytesReceived: item.bytesReceived, totalBytes: item.totalBytes, speed });
+      
+      if (downloadWaiters.has(item.id) || ownedFiles.has(getJobFileKey(job.id, index))) {
+        settleDownload(item.id, item.state, item.error);
+      } else {
+        await finishOrphanedDownload(job, index, item.id, item.state, item.error);
+      }
+    }
+  }, PROGRESS_POLL_MS);
+}
+
+/**
+ * Finish a file whose request is gone (the worker restarted while Chrome downloaded
+ * it), after the same check of Chrome's record the request would have made
+ * @param {Object} job - Job the file belongs to
+ * @param {number} index - File index in the job
+ * @param {number} downloadId - Chrome download
+ * @param {string} state - Chrome download state
+ * @param {string} reason - Chrome interrupt reason, if any
+ */
+async function finishOrphanedDownload(job, index, downloadId, state, reason) {
+  const fileKey = getJobFileKey(job.id, index);
+  if (ownedFiles.has(fileKey) || job.files[index]?.state !== "downloading") return;
+  
+  if (state === "interrupted") {
+    updateJobFile(job, index, { state: "failed", error: reason || "Download interrupted", speed: 0 });
+    return;
+  }
+  if (state !== "complete") return;
+  
+  // Owned while checking, so Chrome's event and the poller don't both finish it
+  ownedFiles.add(fileKey);
+  try {
+    await checkSavedDownload({ downloadId, sha256: null });
+    updateJobFile(job, index, { state: "completed", speed: 0 });
+  } catch (error) {
+    updateJobFile(job, index, { state: "failed", error: error.message, speed: 0 });
+  } finally {
+    ownedFiles.delete(fileKey);
+  }
+}
+
+/**
+ * Send a job snapshot to every connected popup and persist it
+ */
+function broadcastJob(job) {
+  progressPorts.forEach(port => {
     try {
-      return await attemptDownloadFromUrl(downloadUrl, fullPath, sanitizedFilename);
+      port.postMessage({ type: "JOB_UPDATE", job });
     } catch (error) {
-      lastError = error;
-      console.warn(`[ilovegcr] URL failed, trying next candidate: ${error.message}`);
+      progressPorts.delete(port);
     }
+  });
+  
+  if (!persistTimer) {
+    persistTimer = setTimeout(() => {
+      persistTimer = null;
+      browserAPI.storage.session.set({ jobs: [...jobs.values()] }).catch((error) => {
+        console.warn("[ilovegcr] Could not persist jobs:", error);
+      });
+    }, 500);
   }
-
-  throw lastError || new Error("All download URL candidates failed");
 }
 
 /**
- * Attempt to download one URL using fetch+blob, then direct download fallback
+ * Forget the oldest finished jobs so storage.session stays small
  */
-async function attemptDownloadFromUrl(downloadUrl, fullPath, sanitizedFilename) {
-  const isGoogleUrl = isGoogleDownloadUrl(downloadUrl);
+function pruneFinishedJobs() {
+  const finished = [...jobs.values()].filter(job => job.finishedAt);
+  finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS)).forEach(job => {
+    jobs.delete(job.id);
+    job.files.forEach(file => downloadTargets.delete(file.downloadId));
+  });
+}
 
-  try {
-    const response = await fetch(downloadUrl, {
-      credentials: 'include',
-      redirect: 'follow'
-    });
+// =============================================================================
+// DOWNLOAD HISTORY
+// =============================================================================
 
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}`);
-    }
+const HISTORY_KEY = "downloadHistory";
+const MAX_HISTORY_ENTRIES = 2000;
 
-    const contentType = (response.headers.get('content-type') || '').toLowerCase();
-    if (isHtmlLikeResponse(contentType, response.url)) {
-      const html = await response.text();
-      const confirmedUrl = getDriveConfirmedDownloadUrl(html, response.url);
-      if (confirmedUrl && confirmedUrl !== downloadUrl) {
-        return await attemptDownloadFromUrl(confirmedUrl, fullPath, sanitizedFilename);
-      }
-      throw new Error('Received HTML page instead of file content');
-    }
+// Cached copy of the history in storage.local, newest first:
+// [{id, time, course, assignment, filename, url, pageUrl, path, size, result, error, downloadId, source}]
+let downloadHistory = null;
+// Writes are chained so finishing jobs never overwrite each other's entries
+let historyWrite = Promise.resolve();
 
-    const resolvedUrl = withSessionParams(response.url || downloadUrl, downloadUrl);
-    return await directDownload(resolvedUrl, fullPath, sanitizedFilename);
-  } catch (fetchError) {
-    if (isGoogleUrl) {
-      throw fetchError;
-    }
+/**
+ * Load the history once per service worker lifetime
+ * @returns {Promise<Array>} - History entries, newest first
+ */
+async function loadHistory() {
+  if (!downloadHistory) {
+    const stored = await browserAPI.storage.local.get({ [HISTORY_KEY]: [] });
+    downloadHistory = downloadHistory || stored[HISTORY_KEY];
   }
-
-  return await directDownload(downloadUrl, fullPath, sanitizedFilename);
+  return downloadHistory;
 }
 
 /**
- * Check whether URL points to Google Drive/Docs resources
+ * Add every file of a finished job to the history
+ * @param {Object} job - Finished job
+ * @returns {Promise<void>}
  */
-function isGoogleDownloadUrl(url) {
-  return /https:\/\/(drive\.google\.com|docs\.google\.com|drive\.usercontent\.google\.com)\//i.test(url);
+function recordHistory(job) {
+  historyWrite = historyWrite.then(async () => {
+    const history = await loadHistory();
+    const entries = await Promise.all(job.files.map(async (file, index) => {
+      // Jobs restored from before the history existed carry no source
+      const source = file.source || { url: file.url, filename: file.filename };
+      // Chrome knows where the file really landed and how big it is
+      const [download] = file.downloadId !== undefined
+        ? await browserAPI.downloads.search({ id: file.downloadId }).catch(() => [])
+        : [];
+      return {
+        id: `${job.id}-${index}`,
+        time: job.finishedAt,
+        course: job.courseName || null,
+        assignment: source.assignmentName || job.assignmentName,
+        filename: file.savedAs || file.filename,
+        url: file.url,
+        pageUrl: source.pageUrl || null,
+        path: download?.filename || null,
+        size: download?.fileSize || file.totalBytes || null,
+        result: file.state,
+        error: file.error,
+        downloadId: download ? file.downloadId : null,
+        session: job.assignmentName,
+        source
+      };
+    }));
+    
+    history.unshift(...entries);
+    history.splice(MAX_HISTORY_ENTRIES);
+    await browserAPI.storage.local.set({ [HISTORY_KEY]: history });
+  }).catch((error) => console.error("[ilovegcr] Failed to record history:", error));
+  return historyWrite;
 }
 
 /**
- * Detect if fetch response is likely an HTML page instead of actual file bytes
+ * Fetch a history entry's file again, into the same session folder name
+ * @param {string} id - History entry ID
+ * @returns {Promise<Array>} - Results from handleDownloadRequest
  */
-function isHtmlLikeResponse(contentType, finalUrl) {
-  if (contentType.includes('text/html')) return true;
-  if (contentType.includes('application/xhtml+xml')) return true;
-  if (/\/file\/d\//i.test(finalUrl) || /\/view/i.test(finalUrl)) return true;
-  return false;
+async function redownloadHistoryEntry(id) {
+  const entry = (await loadHistory()).find(item => item.id === id);
+  if (!entry) throw new Error("History entry not found");
+  return await handleDownloadRequest([entry.source], entry.session, { courseName: entry.course });
 }
 
 /**
- * Extract Google Drive confirm-download URL from warning/interstitial HTML
+ * Show a history entry's file in its folder
+ * @param {string} id - History entry ID
  */
-function getDriveConfirmedDownloadUrl(html, baseUrl) {
-  if (!html || !baseUrl) return null;
-
-  try {
-    const embeddedDownloadMatch = html.match(/"downloadUrl":"(https:[^"\\]*(?:\\\\\/[^"\\]*)*)"/i);
-    if (embeddedDownloadMatch?.[1]) {
-      const unescaped = embeddedDownloadMatch[1]
-        .replace(/\\u003d/g, '=')
-        .replace(/\\u0026/g, '&')
-        .replace(/\\\//g, '/');
-      return withSessionParams(unescaped, baseUrl);
-    }
+async function showHistoryFile(id) {
+  const entry = (await loadHistory()).find(item => item.id === id);
+  const [download] = entry?.downloadId !== null && entry?.downloadId !== undefined
+    ? await browserAPI.downloads.search({ id: entry.downloadId })
+    : [];
+  
+  if (!download) throw new Error("Chrome no longer lists this download");
+  if (download.exists === false) throw new Error("The file was moved or deleted");
+  browserAPI.downloads.show(download.id);
+}
 
-    const actionMatch = html.match(/action="([^"]*\/uc\?export=download[^"]*)"/i)
-      || html.match(/href="([^"]*\/uc\?export=download[^"]*)"/i)
-      || html.match(/href="([^"]*drive\.usercontent\.google\.com\/download[^\"]*)"/i)
-      || html.match(/confirm=([0-9A-Za-z_\-]+).*?id=([0-9A-Za-z_\-]+)/is);
+/**
+ * Forget every history entry
+ */
+function clearHistory() {
+  const write = historyWrite.then(async () => {
+    await browserAPI.storage.local.set({ [HISTORY_KEY]: [] });
+    downloadHistory = [];
+  });
+  // The caller hears of a failure; later history writes still run
+  historyWrite = write.catch(() => {});
+  return write;
+}
 
-    if (!actionMatch) return null;
+// =============================================================================
+// NOTIFICATIONS
+// =============================================================================
 
-    if (actionMatch.length >= 3 && !actionMatch[1]?.startsWith('http')) {
-      const confirm = actionMatch[1];
-      const fileId = actionMatch[2];
-      return withSessionParams(
-        `https://drive.google.com/uc?export=download&confirm=${encodeURIComponent(confirm)}&id=${encodeURIComponent(fileId)}`,
-        baseUrl
-      );
-    }
+const NOTIFICATION_PREFIX = "ilovegcr-job:";
 
-    const raw = actionMatch[1];
-    const decoded = raw.replace(/&amp;/g, '&');
-    return withSessionParams(new URL(decoded, baseUrl).toString(), baseUrl);
-  } catch (error) {
-    return null;
-  }
+/**
+ * Tell the user a job is done, with counts of saved, skipped and failed files.
+ * Runs that only skipped files (say an hourly course check with nothing new) stay quiet.
+ * @param {Object} job - Finished job
+ */
+function notifyJobFinished(job) {
+  const count = (state) => job.files.filter(file => file.state === state).length;
+  const completed = count("completed");
+  const skipped = count("skipped");
+  const failed = count("failed");
+  if (completed === 0 && failed === 0) return;
+  
+  const title = failed === 0
+    ? `Downloaded ${job.assignmentName}`
+    : completed === 0
+      ? `Download failed: ${job.assignmentName}`
+      : `Some files failed: ${job.assignmentName}`;
+  const counts = [`${completed} saved`, skipped ? `${skipped} skipped` : null, failed ? `${failed} failed` : null];
+  
+  browserAPI.notifications.create(`${NOTIFICATION_PREFIX}${job.id}`, {
+    type: "basic",
+    iconUrl: "icon128.png",
+    title,
+    message: counts.filter(Boolean).join(", "),
+    contextMessage: job.courseName || "",
+    buttons: failed > 0 ? [{ title: "Retry failed" }] : []
+  });
 }
 
 /**
- * Preserve important Google session params like authuser/resourcekey.
+ * Clicking a notification shows the session folder, or the history when nothing was saved
  */
-function withSessionParams(targetUrl, sourceUrl) {
-  try {
-    const source = new URL(sourceUrl);
-    const target = new URL(targetUrl);
-    const authuser = source.searchParams.get('authuser');
-    const resourcekey = source.searchParams.get('resourcekey');
-
-    if (authuser && !target.searchParams.has('authuser')) {
-      target.searchParams.set('authuser', authuser);
-    }
-    if (resourcekey && !target.searchParams.has('resourcekey')) {
-      target.searchParams.set('resourcekey', resourcekey);
-    }
-    return target.toString();
-  } catch (error) {
-    return targetUrl;
+browserAPI.notifications.onClicked.addListener(async (notificationId) => {
+  if (!notificationId.startsWith(NOTIFICATION_PREFIX)) return;
+  browserAPI.notifications.clear(notificationId);
+  
+  const entries = await getJobHistory(notificationId.slice(NOTIFICATION_PREFIX.length));
+  const saved = entries.find(entry => entry.result === "completed" && entry.downloadId !== null);
+  const [download] = saved ? await browserAPI.downloads.search({ id: saved.downloadId }) : [];
+  
+  if (download?.exists) {
+    browserAPI.downloads.show(download.id);
+  } else {
+    browserAPI.tabs.create({ url: browserAPI.runtime.getURL("popup.html#history") });
   }
+});
+
+browserAPI.notifications.onButtonClicked.addListener((notificationId) => {
+  if (!notificationId.startsWith(NOTIFICATION_PREFIX)) return;
+  browserAPI.notifications.clear(notificationId);
+  
+  retryFailedFiles(notificationId.slice(NOTIFICATION_PREFIX.length))
+    .catch((error) => console.error("[ilovegcr] Retry failed:", error));
+});
+
+/**
+ * Get a job's files from the history, which outlives the job itself
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Array>} - History entries of the job, in file order
+ */
+async function getJobHistory(jobId) {
+  await historyWrite;
+  return (await loadHistory()).filter(entry => entry.id.startsWith(`${jobId}-`));
 }
 
 /**
- * Direct download fallback when fetch doesn't work
+ * Download a job's failed files again, as a new job
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Array>} - Results from handleDownloadRequest
  */
-function directDownload(downloadUrl, fullPath, sanitizedFilename) {
-  return new Promise((resolve, reject) => {
-    browserAPI.downloads.download(
-      {
-        url: downloadUrl,
-        filename: fullPath,
-        saveAs: false
-      },
-      (downloadId) => {
-        if (browserAPI.runtime.lastError) {
-          console.error(`[ilovegcr] Direct download error: ${browserAPI.runtime.lastError.message}`);
-          reject(new Error(browserAPI.runtime.lastError.message));
-        } else if (downloadId === undefined) {
-          reject(new Error("Download failed - check extension permissions"));
-        } else {
-          console.log(`[ilovegcr] Direct download started with ID: ${downloadId}`);
-          resolve(downloadId);
-        }
-      }
-    );
-  });
+async function retryFailedFiles(jobId) {
+  const failed = (await getJobHistory(jobId)).filter(entry => entry.result === "failed");
+  if (failed.length === 0) return [];
+  
+  console.log(`[ilovegcr] Retrying ${failed.length} failed files`);
+  return await handleDownloadRequest(failed.map(entry => entry.source), failed[0].session, { courseName: failed[0].course });
 }
 
 // =============================================================================
@@ -282,10 +3109,14 @@ function directDownload(downloadUrl, fullPath, sanitizedFilename) {
 /**
  * Build URL candidates for downloading Google Drive/Docs files.
  * Keep original URL first because it preserves account/session-specific query params.
+ * Google-native documents go straight to their export URL instead.
  * @param {string} url - Original URL
+ * @param {Object} exportOptions - Optional {format, part} for Google-native documents
+ * @param {Object} account - Optional {index, email} of the signed-in Classroom account
  * @returns {string[]} - Ordered URL candidates
  */
-function getDownloadUrlCandidates(url) {
+function getDownloadUrlCandidates(url, exportOptions = {}, account = null) {
+  url = withAccount(url, account);
   const candidates = [];
   const seen = new Set();
 
@@ -296,11 +3127,16 @@ function getDownloadUrlCandidates(url) {
     }
   }
 
+  const nativeType = getNativeDocType(url);
+  if (nativeType) {
+    const format = exportOptions?.format || DEFAULT_SETTINGS.exportFormats[nativeType][0];
+    addCandidate(withSessionParams(buildExportUrl(nativeType, getGoogleFileId(url), format, exportOptions?.part), url));
+    return candidates;
+  }
+
   addCandidate(url);
 
-  const driveFileMatch = url.match(/drive\.google\.com\/file\/d\/([^\/?#]+)/);
-  const driveOpenMatch = url.match(/[?&]id=([^&#]+)/);
-  const driveId = driveFileMatch?.[1] || driveOpenMatch?.[1];
+  const driveId = getDriveFileId(url);
 
   if (driveId) {
     let resourceKey = "";
@@ -320,25 +3156,71 @@ function getDownloadUrlCandidates(url) {
     addCandidate(`https://drive.usercontent.google.com/download?id=${driveId}&export=download&confirm=t${resourceParam}${authUserParam}`);
   }
 
-  const docsMatch = url.match(/docs\.google\.com\/document\/d\/([^\/]+)/);
-  if (docsMatch) {
-    const docId = docsMatch[1];
-    addCandidate(`https://docs.google.com/document/d/${docId}/export?format=docx`);
-  }
+  return candidates;
+}
 
-  const sheetsMatch = url.match(/docs\.google\.com\/spreadsheets\/d\/([^\/]+)/);
-  if (sheetsMatch) {
-    const sheetId = sheetsMatch[1];
-    addCandidate(`https://docs.google.com/spreadsheets/d/${sheetId}/export?format=xlsx`);
+/**
+ * Build the export URL of a Google-native document
+ * @param {string} type - document | spreadsheet | presentation | drawing
+ * @param {string} id - Document ID
+ * @param {string} format - Export format key from EXPORT_FORMATS
+ * @param {Object} part - Optional {id} of one sheet (gid) or slide (pageid)
+ * @returns {string} - Export URL
+ */
+function buildExportUrl(type, id, format, part) {
+  switch (type) {
+    case "document":
+      return `https://docs.google.com/document/d/${id}/export?format=${format}`;
+    case "spreadsheet":
+      return `https://docs.google.com/spreadsheets/d/${id}/export?format=${format}${part ? `&gid=${encodeURIComponent(part.id)}` : ""}`;
+    case "presentation":
+      return `https://docs.google.com/presentation/d/${id}/export/${format}${part ? `?pageid=${encodeURIComponent(part.id)}` : ""}`;
+    default:
+      return `https://docs.google.com/drawings/d/${id}/export/${format}`;
   }
+}
 
-  const slidesMatch = url.match(/docs\.google\.com\/presentation\/d\/([^\/]+)/);
-  if (slidesMatch) {
-    const slidesId = slidesMatch[1];
-    addCandidate(`https://docs.google.com/presentation/d/${slidesId}/export/pptx`);
-  }
+/**
+ * Detect the Google-native document type of a URL
+ * @param {string} url - Attachment URL
+ * @returns {string|null} - document | spreadsheet | presentation | drawing
+ */
+function getNativeDocType(url) {
+  const match = url.match(/docs\.google\.com\/(document|spreadsheets|presentation|drawings)\/d\//);
+  if (!match) return null;
+  return { document: "document", spreadsheets: "spreadsheet", presentation: "presentation", drawings: "drawing" }[match[1]];
+}
 
-  return candidates;
+/**
+ * Extract a Drive folder ID from /drive/folders/<id> or folderview?id=<id> URLs
+ * @param {string} url - Folder URL
+ * @returns {string|null} - Folder ID
+ */
+function getDriveFolderId(url) {
+  const match = url.match(/drive\.google\.com\/drive\/(?:u\/\d+\/)?folders\/([^\/?#]+)/)
+    || url.match(/drive\.google\.com\/(?:embedded)?folderview\?(?:[^#]*&)?id=([^&#]+)/);
+  return match?.[1] || null;
+}
+
+/**
+ * Extract a Drive file ID from /file/d/<id> or ?id=<id> URLs
+ * @param {string} url - Attachment URL
+ * @returns {string|null} - File ID
+ */
+function getDriveFileId(url) {
+  const driveFileMatch = url.match(/drive\.google\.com\/file\/d\/([^\/?#]+)/);
+  const driveOpenMatch = url.match(/[?&]id=([^&#]+)/);
+  return driveFileMatch?.[1] || driveOpenMatch?.[1] || null;
+}
+
+/**
+ * Extract the stable ID of a Drive file or Docs/Sheets/Slides document
+ * @param {string} url - Attachment URL
+ * @returns {string|null} - File ID
+ */
+function getGoogleFileId(url) {
+  const docsMatch = url.match(/docs\.google\.com\/(?:document|spreadsheets|presentation|drawings)\/d\/([^\/?#]+)/);
+  return docsMatch?.[1] || getDriveFileId(url);
 }
 
 // =============================================================================
@@ -363,36 +3245,62 @@ function sanitizeFolderName(name) {
     || "Classroom_Download";
 }
 
+// Subfolder for each part of an assignment page an attachment can come from
+const SECTION_FOLDERS = {
+  materials: "Materials",
+  work: "My work",
+  comments: "Comments"
+};
+
+/**
+ * Folder an attachment is saved in, below the session folder: its assignment
+ * folder, then the section of the page it was found in
+ * @param {Object} attachment - {folder?, section?} object
+ * @returns {string} - Sanitized relative path, or "" for the session folder itself
+ */
+function getAttachmentFolder(attachment) {
+  return sanitizeFolderPath([attachment.folder, SECTION_FOLDERS[attachment.section]].filter(Boolean).join("/"));
+}
+
+/**
+ * Sanitize a relative folder path such as "Unit 1/Week 2", segment by segment
+ * @param {string} path - Relative folder path (may be empty)
+ * @returns {string} - Sanitized path without leading/trailing slashes
+ */
+function sanitizeFolderPath(path) {
+  if (!path) return "";
+  
+  return path
+    .split("/")
+    .filter(segment => segment.trim().length > 0 && !/^\.+$/.test(segment.trim()))
+    .map(sanitizeFolderName)
+    .join("/");
+}
+
 /**
  * Sanitize filename for file system compatibility
  * @param {string} filename - Original filename
  * @param {string} url - The URL (to determine extension if needed)
+ * @param {string} format - Export format of a Google-native document, if any
  * @returns {string} - Sanitized filename
  */
-function sanitizeFilename(filename, url = "") {
+function sanitizeFilename(filename, url = "", format = "") {
   // Check if filename already has an extension
   const hasExtension = /\.[a-zA-Z0-9]{2,5}$/.test(filename);
+  const nativeType = getNativeDocType(url);
   
   // Extract extension if present
   let ext = "";
   let nameWithoutExt = filename;
   
-  if (hasExtension) {
+  if (nativeType) {
+    // The saved extension always follows the export format, whatever the title says
+    nameWithoutExt = stripExportExtension(filename);
+    ext = `.${format || DEFAULT_SETTINGS.exportFormats[nativeType][0]}`;
+  } else if (hasExtension) {
     const extMatch = filename.match(/\.([a-zA-Z0-9]+)$/);
     ext = extMatch ? extMatch[0] : "";
     nameWithoutExt = ext ? filename.slice(0, -ext.length) : filename;
-  } else {
-    // Add extension based on URL type
-    if (url.includes("docs.google.com/document")) {
-      ext = ".docx";
-    } else if (url.includes("docs.google.com/spreadsheets")) {
-      ext = ".xlsx";
-    } else if (url.includes("docs.google.com/presentation")) {
-      ext = ".pptx";
-    } else if (url.includes("drive.google.com")) {
-      // For Drive files, try to detect from filename or leave as is
-      ext = "";
-    }
   }
   
   const sanitizedName = nameWithoutExt
@@ -405,34 +3313,332 @@ function sanitizeFilename(filename, url = "") {
   return sanitizedName + ext;
 }
 
+/**
+ * Remove a trailing office/export extension such as ".docx" from a title
+ */
+function stripExportExtension(filename) {
+  return filename.replace(/\.(docx?|xlsx?|pptx?|odt|ods|odp|rtf|txt|epub|md|csv|tsv|pdf|png|svg)$/i, "");
+}
+
 // =============================================================================
 // STORAGE UTILITIES
 // =============================================================================
 
+// Extensions for server Content-Types, used to fix names the card title got wrong
+const CONTENT_TYPE_EXTENSIONS = {
+  "application/pdf": "pdf",
+  "application/msword": "doc",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": "docx",
+  "application/vnd.ms-excel": "xls",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": "xlsx",
+  "application/vnd.ms-powerpoint": "ppt",
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation": "pptx",
+  "application/vnd.oasis.opendocument.text": "odt",
+  "application/vnd.oasis.opendocument.spreadsheet": "ods",
+  "application/vnd.oasis.opendocument.presentation": "odp",
+  "application/rtf": "rtf",
+  "application/epub+zip": "epub",
+  "application/zip": "zip",
+  "application/x-rar-compressed": "rar",
+  "application/x-7z-compressed": "7z",
+  "text/plain": "txt",
+  "text/csv": "csv",
+  "text/tab-separated-values": "tsv",
+  "text/markdown": "md",
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/gif": "gif",
+  "image/bmp": "bmp",
+  "image/svg+xml": "svg",
+  "video/mp4": "mp4",
+  "video/quicktime": "mov",
+  "video/x-msvideo": "avi",
+  "audio/mpeg": "mp3",
+  "audio/wav": "wav"
+};
+
+// Export formats offered for each Google-native document type.
+// Every key doubles as the saved file extension.
+const EXPORT_FORMATS = {
+  document: ["pdf", "docx", "odt", "rtf", "txt", "epub", "md"],
+  spreadsheet: ["xlsx", "ods", "csv", "tsv"],
+  presentation: ["pptx", "odp", "pdf", "png"],
+  drawing: ["svg", "png", "pdf"]
+};
+
+// Version of the settings layout in storage.sync. Version 1 was a lone downloadPath key.
+const SETTINGS_SCHEMA_VERSION = 2;
+
+// Placeholders allowed in the folder template
+const FOLDER_TEMPLATE_TOKENS = ["name", "date", "time", "timestamp"];
+
+// How the file type filter treats the listed extensions
+const FILE_TYPE_FILTER_MODES = ["all", "include", "exclude"];
+
+// What the popup does when the selected files add up to more than the size limit
+const SIZE_LIMIT_MODES = ["off", "warn", "block"];
+
+// Defaults for every setting kept in storage.sync
+const DEFAULT_SETTINGS = {
+  downloadRoot: "Downloads",
+  folderTemplate: "{name}_{timestamp}",
+  concurrency: 3,
+  collisionPolicy: "number",
+  exportFormats: {
+    document: ["docx"],
+    spreadsheet: ["xlsx"],
+    presentation: ["pptx"],
+    drawing: ["png"]
+  },
+  fileTypeFilter: {
+    mode: "all",
+    extensions: []
+  },
+  sizeLimit: {
+    mode: "off",
+    megabytes: 500
+  }
+};
+
+// Steps that bring stored settings from the keyed version to the next one
+const SETTINGS_MIGRATIONS = {
+  1: (stored) => {
+    const { downloadPath, ...rest } = stored;
+    return { ...rest, downloadRoot: downloadPath || DEFAULT_SETTINGS.downloadRoot };
+  }
+};
+
 /**
- * Get the current download path from storage
- * @returns {Promise<string>} - Download path
+ * Get all settings, migrating older layouts and falling back to defaults for anything unset
+ * @returns {Promise<Object>} - Settings object
  */
-function getDownloadPath() {
+function getSettings() {
   return new Promise((resolve) => {
-    browserAPI.storage.sync.get({ downloadPath: "Downloads" }, (result) => {
-      resolve(result.downloadPath || "Downloads");
+    browserAPI.storage.sync.get(null, (stored) => {
+      if (stored.schemaVersion === SETTINGS_SCHEMA_VERSION) {
+        resolve(normalizeSettings(stored));
+        return;
+      }
+      
+      const settings = normalizeSettings(migrateSettings(stored));
+      browserAPI.storage.sync.remove("downloadPath", () => {
+        browserAPI.storage.sync.set({ ...settings, schemaVersion: SETTINGS_SCHEMA_VERSION }, () => {
+          console.log(`[ilovegcr] Settings migrated from version ${stored.schemaVersion || 1}`);
+          resolve(settings);
+        });
+      });
     });
   });
 }
 
 /**
- * Set the download path in storage
- * @param {string} path - New download path
- * @returns {Promise<void>}
+ * Merge changes into the stored settings
+ * @param {Object} changes - Settings to update
+ * @returns {Promise<Object>} - The updated settings
+ * @throws {Error} - When a changed value is invalid
+ */
+async function updateSettings(changes) {
+  const merged = { ...(await getSettings()), ...changes };
+  const errors = validateSettings(merged);
+  if (errors.length > 0) {
+    throw new Error(errors.join("; "));
+  }
+  
+  return saveSettings(normalizeSettings(merged));
+}
+
+/**
+ * Replace all settings with an exported settings file; anything it leaves out is reset to the default
+ * @param {Object} data - Parsed JSON from exportSettings(), or a bare settings object
+ * @returns {Promise<Object>} - The imported settings
+ * @throws {Error} - When the file is from a newer version or holds invalid values
+ */
+async function importSettings(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error("Not a settings file");
+  }
+  
+  const version = data.schemaVersion || 1;
+  if (version > SETTINGS_SCHEMA_VERSION) {
+    throw new Error(`Settings file is from a newer version of iloveGCR (schema ${version})`);
+  }
+  
+  const imported = migrateSettings({ ...(data.settings || data), schemaVersion: version });
+  const errors = validateSettings({ ...DEFAULT_SETTINGS, ...imported });
+  if (errors.length > 0) {
+    throw new Error(errors.join("; "));
+  }
+  
+  return saveSettings(normalizeSettings(imported));
+}
+
+/**
+ * Wrap the current settings for sharing as a JSON file
+ * @returns {Promise<Object>} - {app, schemaVersion, exportedAt, settings}
+ */
+async function exportSettings() {
+  return {
+    app: "iloveGCR",
+    schemaVersion: SETTINGS_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings: await getSettings()
+  };
+}
+
+/**
+ * Write a complete, normalized settings object
  */
-function setDownloadPath(path) {
+function saveSettings(settings) {
   return new Promise((resolve) => {
-    browserAPI.storage.sync.set({ downloadPath: path }, () => {
-      console.log(`[ilovegcr] Download path updated to: ${path}`);
-      resolve();
+    browserAPI.storage.sync.set({ ...settings, schemaVersion: SETTINGS_SCHEMA_VERSION }, () => {
+      console.log("[ilovegcr] Settings updated:", settings);
+      resolve(settings);
+    });
+  });
+}
+
+/**
+ * Bring stored settings up to the current schema version
+ * @param {Object} stored - Raw stored values, with schemaVersion (absent means version 1)
+ * @returns {Object} - Settings in the current layout, without schemaVersion
+ */
+function migrateSettings(stored) {
+  let { schemaVersion = 1, ...settings } = stored;
+  for (let version = schemaVersion; version < SETTINGS_SCHEMA_VERSION; version++) {
+    settings = SETTINGS_MIGRATIONS[version](settings);
+  }
+  return settings;
+}
+
+/**
+ * List everything wrong with a settings object
+ * @param {Object} settings - Complete settings object
+ * @returns {string[]} - One message per invalid value; empty when valid
+ */
+function validateSettings(settings) {
+  const errors = [];
+  
+  const rootError = getPathError(settings.downloadRoot, "Download folder");
+  if (rootError) errors.push(rootError);
+  
+  const templateError = typeof settings.folderTemplate === "string" && !settings.folderTemplate.trim()
+    ? "Folder template cannot be empty"
+    : getPathError(settings.folderTemplate, "Folder template");
+  if (templateError) {
+    errors.push(templateError);
+  } else {
+    const unknown = [...settings.folderTemplate.matchAll(/\{([^}]*)\}/g)]
+      .map(match => match[1])
+      .filter(token => !FOLDER_TEMPLATE_TOKENS.includes(token));
+    if (unknown.length > 0) {
+      errors.push(`Folder template has unknown placeholders: ${unknown.map(token => `{${token}}`).join(", ")}`);
+    }
+  }
+  
+  const concurrency = Number(settings.concurrency);
+  if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > 8) {
+    errors.push("Parallel downloads must be a whole number from 1 to 8");
+  }
+  
+  if (!COLLISION_POLICIES.includes(settings.collisionPolicy)) {
+    errors.push(`Unknown same-name policy "${settings.collisionPolicy}"`);
+  }
+  
+  if (!settings.exportFormats || typeof settings.exportFormats !== "object") {
+    errors.push("Export formats must be an object of format lists");
+  } else {
+    Object.entries(settings.exportFormats).forEach(([type, formats]) => {
+      if (!EXPORT_FORMATS[type]) {
+        errors.push(`Unknown Google document type "${type}"`);
+      } else if (!Array.isArray(formats) || formats.length === 0) {
+        errors.push(`Pick at least one export format for ${type}`);
+      } else {
+        formats.filter(format => !EXPORT_FORMATS[type].includes(format)).forEach(format => {
+          errors.push(`"${format}" is not an export format for ${type}`);
+        });
+      }
     });
+  }
+  
+  const filter = settings.fileTypeFilter;
+  if (!filter || !FILE_TYPE_FILTER_MODES.includes(filter.mode)) {
+    errors.push(`File type filter mode must be one of: ${FILE_TYPE_FILTER_MODES.join(", ")}`);
+  } else if (!Array.isArray(filter.extensions)) {
+    errors.push("File type filter extensions must be a list");
+  } else {
+    const invalid = filter.extensions.filter(ext => !/^\.?[a-z0-9]{1,8}$/i.test(ext));
+    if (invalid.length > 0) errors.push(`Invalid file extensions: ${invalid.join(", ")}`);
+    if (filter.mode === "include" && filter.extensions.length === 0) {
+      errors.push("List at least one file extension to download");
+    }
+  }
+  
+  const limit = settings.sizeLimit;
+  if (!limit || !SIZE_LIMIT_MODES.includes(limit.mode)) {
+    errors.push(`Size limit mode must be one of: ${SIZE_LIMIT_MODES.join(", ")}`);
+  } else if (!(Number(limit.megabytes) > 0)) {
+    errors.push("Size limit must be a number of megabytes above 0");
+  }
+  
+  return errors;
+}
+
+/**
+ * Check a relative folder path setting; Chrome only saves below the Downloads folder
+ * @returns {string|null} - Error message, or null when the path is usable
+ */
+function getPathError(path, label) {
+  if (typeof path !== "string" || !path.trim()) return `${label} cannot be empty`;
+  if (/^([a-z]:|[\\/~])/i.test(path.trim())) return `${label} must be relative to your Downloads folder`;
+  if (path.split(/[\\/]/).some(segment => segment.trim() === "..")) return `${label} cannot contain ".."`;
+  if (/[<>:"|?*]/.test(path.replace(/\{[^}]*\}/g, ""))) return `${label} cannot contain < > : " | ? *`;
+  return null;
+}
+
+/**
+ * Clamp settings to supported values
+ * @param {Object} settings - Raw settings
+ * @returns {Object} - Settings limited to the known keys
+ */
+function normalizeSettings(settings) {
+  const concurrency = parseInt(settings.concurrency, 10);
+  const exportFormats = {};
+  Object.keys(EXPORT_FORMATS).forEach(type => {
+    const chosen = (settings.exportFormats?.[type] || []).filter(format => EXPORT_FORMATS[type].includes(format));
+    exportFormats[type] = chosen.length > 0 ? [...new Set(chosen)] : DEFAULT_SETTINGS.exportFormats[type];
   });
+  
+  const filter = settings.fileTypeFilter || {};
+  const extensions = Array.isArray(filter.extensions)
+    ? [...new Set(filter.extensions.map(ext => String(ext).toLowerCase().replace(/^\./, "")).filter(ext => /^[a-z0-9]{1,8}$/.test(ext)))]
+    : [];
+  const mode = FILE_TYPE_FILTER_MODES.includes(filter.mode) && (filter.mode !== "include" || extensions.length > 0)
+    ? filter.mode
+    : DEFAULT_SETTINGS.fileTypeFilter.mode;
+  
+  const limit = settings.sizeLimit || {};
+  const megabytes = Number(limit.megabytes);
+  
+  return {
+    downloadRoot: getPathError(settings.downloadRoot, "") ? DEFAULT_SETTINGS.downloadRoot : sanitizeFolderPath(settings.downloadRoot.replace(/\\/g, "/")),
+    folderTemplate: getPathError(settings.folderTemplate, "") ? DEFAULT_SETTINGS.folderTemplate : settings.folderTemplate.trim(),
+    concurrency: Number.isFinite(concurrency) ? Math.min(8, Math.max(1, concurrency)) : DEFAULT_SETTINGS.concurrency,
+    collisionPolicy: COLLISION_POLICIES.includes(settings.collisionPolicy) ? settings.collisionPolicy : DEFAULT_SETTINGS.collisionPolicy,
+    exportFormats,
+    fileTypeFilter: { mode, extensions },
+    sizeLimit: {
+      mode: SIZE_LIMIT_MODES.includes(limit.mode) ? limit.mode : DEFAULT_SETTINGS.sizeLimit.mode,
+      megabytes: megabytes > 0 ? megabytes : DEFAULT_SETTINGS.sizeLimit.megabytes
+    }
+  };
+}
+
+/**
+ * Get the folder, relative to Downloads, that every session is saved under
+ * @returns {Promise<string>} - Download root
+ */
+async function getDownloadPath() {
+  return (await getSettings()).downloadRoot;
 }
 
 // =============================================================================
@@ -4,6 +4,11 @@
  * This script runs on Google Classroom pages to:
  * 1. Scan for downloadable file attachments
  * 2. Respond to popup requests for file list
+ * 3. Collect every item of a course for whole-course downloads
+ * 4. Read assignment details (instructions, dates, points, rubric, comments)
+ * 5. Keep the scan current as Classroom renders and navigates, for the toolbar badge
+ * 6. Add inline download buttons to attachment cards and the assignment header
+ * 7. Diagnose which extraction strategies work on the current page
  */
 
 // Browser API compatibility
@@ -13,14 +18,80 @@ const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
 // CONFIGURATION
 // =============================================================================
 
-// Valid file extensions we want to download
-const VALID_EXTENSIONS = [
-  'pptx', 'ppt', 'docx', 'doc', 'xlsx', 'xls',
-  'pdf', 'txt', 'zip', 'rar', '7z',
-  'jpg', 'jpeg', 'png', 'gif', 'bmp',
-  'mp4', 'mp3', 'wav', 'avi', 'mov'
+// Google-native document types, keyed by the URL path segment
+const NATIVE_URL_TYPES = {
+  document: 'application/vnd.google-apps.document',
+  spreadsheets: 'application/vnd.google-apps.spreadsheet',
+  presentation: 'application/vnd.google-apps.presentation',
+  drawings: 'application/vnd.google-apps.drawing',
+  forms: 'application/vnd.google-apps.form'
+};
+
+// Type subtitles Classroom shows under an attachment title
+const SUBTITLE_TYPES = {
+  'Google Docs': 'application/vnd.google-apps.document',
+  'Google Sheets': 'application/vnd.google-apps.spreadsheet',
+  'Google Slides': 'application/vnd.google-apps.presentation',
+  'Google Drawings': 'application/vnd.google-apps.drawing',
+  'Google Forms': 'application/vnd.google-apps.form',
+  'Microsoft Word': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'Microsoft Excel': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'Microsoft PowerPoint': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'PDF': 'application/pdf',
+  'Image': 'image/*',
+  'Video': 'video/*',
+  'Audio': 'audio/*'
+};
+
+// Class-name hints for the assignment title, tried after the ARIA and heading strategies
+const TITLE_SELECTORS = [
+  '.YVvGBb',       // Main title
+  '.KPJZse',       // Title variant
+  '.Qcpryb',       // Another title
+  '.p8Lhse',       // Post title
 ];
 
+// Classroom attachment card containers
+const CARD_SELECTOR = '.asCOqd, .vwNuXe, .LYrz1b, .WdRoE';
+
+// Hosts whose links are Classroom/Google UI rather than teacher-posted links
+const UI_LINK_HOSTS = /(^|\.)(classroom\.google\.com|accounts\.google\.com|support\.google\.com|policies\.google\.com|myaccount\.google\.com)$/;
+
+// File extensions for MIME types, used when the title has none
+const MIME_EXTENSIONS = {
+  'application/pdf': 'pdf',
+  'application/msword': 'doc',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'application/vnd.ms-excel': 'xls',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+  'application/vnd.ms-powerpoint': 'ppt',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'pptx',
+  'application/zip': 'zip',
+  'application/x-rar-compressed': 'rar',
+  'application/x-7z-compressed': '7z',
+  'text/plain': 'txt',
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/bmp': 'bmp',
+  'video/mp4': 'mp4',
+  'video/quicktime': 'mov',
+  'video/x-msvideo': 'avi',
+  'audio/mpeg': 'mp3',
+  'audio/wav': 'wav'
+};
+
+// Classroom item detail pages: /c/<courseId>/<type>/<itemId>/details
+const COURSE_ITEM_PATTERN = /\/c\/([^\/?#]+)\/(a|m|sa|mc)\/([^\/?#]+)\/details/;
+
+// Human-readable labels for the item type segment of a detail URL
+const COURSE_ITEM_TYPES = {
+  a: 'Assignment',
+  m: 'Material',
+  sa: 'Question',
+  mc: 'Question'
+};
+
 // =============================================================================
 // MESSAGE LISTENER - Respond to popup requests
 // =============================================================================
@@ -30,17 +101,15 @@ browserAPI.runtime.onMessage.addListener((message, sender, sendResponse) => {
     console.log("[Classroom Downloader] Scanning for files...");
     
     try {
-      const files = scanForFiles();
-      const assignmentName = getAssignmentName();
+      // The observer keeps the scan current; only scan here if the page changed since
+      if (!latestScan || latestScan.url !== window.location.href) {
+        latestScan = scanPage();
+      }
       
-      console.log("[Classroom Downloader] Found files:", files);
-      console.log("[Classroom Downloader] Assignment name:", assignmentName);
+      console.log("[Classroom Downloader] Found files:", latestScan.files);
+      console.log("[Classroom Downloader] Assignment name:", latestScan.assignmentName);
       
-      sendResponse({
-        success: true,
-        files: files,
-        assignmentName: assignmentName
-      });
+      sendResponse({ success: true, ...latestScan });
     } catch (error) {
       console.error("[Classroom Downloader] Error scanning files:", error);
       sendResponse({
@@ -50,50 +119,486 @@ browserAPI.runtime.onMessage.addListener((message, sender, sendResponse) => {
         assignmentName: "Classroom_Download"
       });
     }
+  } else if (message.action === "DIAGNOSE_PAGE") {
+    try {
+      sendResponse({ success: true, report: diagnosePage() });
+    } catch (error) {
+      console.error("[Classroom Downloader] Error diagnosing page:", error);
+      sendResponse({ success: false, error: error.message });
+    }
+  } else if (message.action === "SCAN_COURSE") {
+    console.log("[Classroom Downloader] Scanning whole course...");
+    
+    scanCourse()
+      .then((course) => sendResponse({ success: true, ...course }))
+      .catch((error) => {
+        console.error("[Classroom Downloader] Error scanning course:", error);
+        sendResponse({ success: false, error: error.message, items: [] });
+      });
   }
   return true;
 });
 
+// =============================================================================
+// LIVE DETECTION
+// =============================================================================
+
+// How long the DOM has to stay quiet before a rescan, and the longest a rescan waits
+const RESCAN_DELAY_MS = 750;
+const RESCAN_MAX_WAIT_MS = 3000;
+
+// Latest scan of the page, kept current as Classroom renders and navigates
+let latestScan = null;
+let rescanTimer = null;
+let rescanPendingSince = 0;
+
+/**
+ * Scan the current page for files, links and assignment details
+ * @returns {Object} - {url, account, files, links, skipped, courseName, assignmentName, assignmentId, details, isCoursePage}
+ */
+function scanPage() {
+  const skipped = [];
+  const account = getActiveAccount();
+  const pageUrl = window.location.href.split('#')[0];
+  // Only assignment pages have separate sections; Stream posts are all materials
+  const isItemPage = Boolean(getAssignmentId());
+  const withAccount = (attachment) => ({ ...attachment, account, pageUrl, section: isItemPage ? attachment.section : null });
+  return {
+    url: window.location.href,
+    account,
+    files: scanForFiles(document, skipped).map(withAccount),
+    links: scanForLinks(document).map(withAccount),
+    skipped,
+    courseName: getCourseName(),
+    assignmentName: getAssignmentName(),
+    assignmentId: getAssignmentId(),
+    details: getAssignmentId() ? getAssignmentDetails() : null,
+    isCoursePage: isCoursePage()
+  };
+}
+
+/**
+ * Rescan once the DOM settles. Classroom is a single-page app: attachments render
+ * after document_idle, and navigating between assignments never reloads the page.
+ */
+function scheduleRescan() {
+  clearTimeout(rescanTimer);
+  // A page that never stops mutating (spinners, timestamps) still gets rescanned
+  rescanPendingSince = rescanPendingSince || Date.now();
+  const overdue = Date.now() - rescanPendingSince > RESCAN_MAX_WAIT_MS;
+  rescanTimer = setTimeout(rescan, overdue ? 0 : RESCAN_DELAY_MS);
+}
+
+/**
+ * Rescan the page and tell the background when the downloadable items changed
+ */
+function rescan() {
+  rescanPendingSince = 0;
+  const previous = latestScan;
+  latestScan = scanPage();
+  injectInlineButtons(latestScan);
+  
+  const signature = (scan) => scan ? `${scan.url}|${[...scan.files, ...scan.links].map(file => file.url).join('|')}` : '';
+  if (signature(previous) === signature(latestScan)) return;
+  
+  const count = latestScan.files.length + latestScan.links.length;
+  console.log(`[Classroom Downloader] Page changed: ${count} downloadable item(s)`);
+  browserAPI.runtime.sendMessage({ action: "PAGE_SCAN_UPDATED", count, url: latestScan.url })
+    .catch(() => {});  // The service worker may be restarting; the next change retries
+}
+
+/**
+ * Watch DOM mutations and SPA navigation to keep the scan and badge current
+ */
+function startLiveDetection() {
+  new MutationObserver((mutations) => {
+    // Our own buttons changing label is not a page change
+    const isOwn = (mutation) => mutation.target.closest?.(`.${INLINE_CLASS}`)
+      || (mutation.addedNodes.length > 0 && [...mutation.addedNodes].every(node => node.classList?.contains(INLINE_CLASS)));
+    const external = mutations.some(mutation => !isOwn(mutation));
+    if (external) scheduleRescan();
+  }).observe(document.body, { childList: true, subtree: true });
+  // Back/forward between assignments can swap cached DOM without many mutations
+  window.addEventListener('popstate', scheduleRescan);
+  scheduleRescan();
+}
+
+// =============================================================================
+// INLINE BUTTONS
+// =============================================================================
+
+const INLINE_CLASS = 'ilovegcr-inline';
+
+// Buttons waiting on a download job: button -> {requestId, jobId, all}
+const inlineDownloads = new Map();
+let inlineProgressPort = null;
+
+/**
+ * Add a download button to every recognised attachment card, and "Download all"
+ * to the assignment header. Runs after every rescan, so cards Classroom
+ * re-renders get their button back; cards that still have one are left alone.
+ * @param {Object} scan - Result of scanPage()
+ */
+function injectInlineButtons(scan) {
+  const attachments = [...scan.files, ...scan.links];
+  if (attachments.length === 0) return;
+  injectInlineStyles();
+  
+  const byUrl = new Map(attachments.map(attachment => [attachment.url, attachment]));
+  document.querySelectorAll(CARD_SELECTOR).forEach(card => {
+    if (card.querySelector(`.${INLINE_CLASS}`) || card.parentElement?.closest(CARD_SELECTOR)) return;
+    
+    const anchor = [...card.querySelectorAll('a[href]')]
+      .find(link => byUrl.has(link.href) || byUrl.has(unwrapRedirectUrl(link.href)));
+    if (!anchor) return;
+    
+    const attachment = byUrl.get(anchor.href) || byUrl.get(unwrapRedirectUrl(anchor.href));
+    const button = createInlineButton('Download', `Download ${attachment.filename} with iloveGCR`);
+    button.addEventListener('click', (event) => startInlineDownload(event, button, [attachment], false));
+    card.appendChild(button);
+  });
+  
+  const title = scan.assignmentId ? getAssignmentNameResult().element : null;
+  if (title && !title.parentElement.querySelector(`.${INLINE_CLASS}.all`)) {
+    const button = createInlineButton(`Download all (${attachments.length})`, 'Download every attachment with iloveGCR');
+    button.classList.add('all');
+    button.addEventListener('click', (event) => {
+      // Read the list at click time; attachments may have rendered since the button was added
+      const current = [...latestScan.files, ...latestScan.links];
+      startInlineDownload(event, button, current, true);
+    });
+    title.insertAdjacentElement('afterend', button);
+  } else if (title) {
+    const button = title.parentElement.querySelector(`.${INLINE_CLASS}.all`);
+    if (!inlineDownloads.has(button)) button.textContent = `Download all (${attachments.length})`;
+  }
+}
+
+/**
+ * Create an inline button in its idle state
+ */
+function createInlineButton(label, tooltip) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = INLINE_CLASS;
+  button.textContent = label;
+  button.title = tooltip;
+  button.setAttribute('aria-label', tooltip);
+  return button;
+}
+
+/**
+ * Send the same DOWNLOAD_ATTACHMENTS request the popup uses and reflect the outcome on the button
+ * @param {Event} event - Click event; kept from reaching the card's own link
+ * @param {HTMLElement} button - Button that was clicked
+ * @param {Array} attachments - Attachments to download
+ * @param {boolean} all - Whether this is the header's "Download all" button
+ */
+async function startInlineDownload(event, button, attachments, all) {
+  event.preventDefault();
+  event.stopPropagation();
+  if (inlineDownloads.has(button) || attachments.length === 0) return;
+  
+  connectInlineProgress();
+  // The job carries this id, however many files folders and export formats turn the request into
+  const requestId = `inline-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  inlineDownloads.set(button, { requestId, jobId: null, all });
+  setInlineState(button, 'busy', 'Starting...');
+  
+  try {
+    const response = await browserAPI.runtime.sendMessage({
+      action: "DOWNLOAD_ATTACHMENTS",
+      attachments: attachments.map(attachment => ({ ...attachment, assignmentId: latestScan?.assignmentId })),
+      assignmentName: latestScan?.assignmentName || getAssignmentName(),
+      options: {
+        requestId,
+        ...(all && latestScan?.details ? { details: [{ ...latestScan.details, folder: null }] } : {})
+      }
+    });
+    
+    if (!response?.success) throw new Error(response?.error || 'Download failed');
+    const failed = response.results.filter(result => !result.success);
+    if (failed.length > 0) {
+      setInlineState(button, 'failed', all ? `✗ ${failed.length} failed` : '✗ Failed', failed[0].error);
+    } else {
+      setInlineState(button, 'done', all ? `✓ Downloaded ${response.results.length}` : '✓ Done');
+    }
+  } catch (error) {
+    console.error("[Classroom Downloader] Inline download failed:", error);
+    setInlineState(button, 'failed', '✗ Failed', error.message);
+  }
+  
+  inlineDownloads.delete(button);
+}
+
+/**
+ * Show a state on an inline button: busy, done or failed
+ */
+function setInlineState(button, state, label, detail = '') {
+  button.dataset.state = state;
+  button.textContent = label;
+  if (detail) button.title = detail;
+  button.disabled = state === 'busy';
+}
+
+/**
+ * Listen to job progress once the first inline download starts
+ */
+function connectInlineProgress() {
+  if (inlineProgressPort) return;
+  
+  inlineProgressPort = browserAPI.runtime.connect({ name: "ilovegcr-progress" });
+  inlineProgressPort.onMessage.addListener((message) => {
+    const updates = message.type === "JOBS_SNAPSHOT" ? message.jobs : message.type === "JOB_UPDATE" ? [message.job] : [];
+    updates.forEach(updateInlineProgress);
+  });
+  inlineProgressPort.onDisconnect.addListener(() => { inlineProgressPort = null; });
+}
+
+/**
+ * Show a job's progress on the buttons that started it
+ */
+function updateInlineProgress(job) {
+  inlineDownloads.forEach((pending, button) => {
+    // A job belongs to the button whose request id it carries
+    if (!pending.jobId && job.requestId === pending.requestId) pending.jobId = job.id;
+    if (pending.jobId !== job.id) return;
+    
+    const done = job.files.filter(file => ['completed', 'skipped', 'failed'].includes(file.state)).length;
+    if (pending.all || job.files.length > 1) {
+      setInlineState(button, 'busy', `${done}/${job.files.length}...`);
+      return;
+    }
+    
+    const file = job.files[0];
+    const percent = file.totalBytes > 0 ? Math.round(file.bytesReceived / file.totalBytes * 100) : null;
+    const label = { queued: 'Queued', resolving: 'Resolving...', retrying: 'Retrying...' }[file.state]
+      || (percent !== null ? `${percent}%` : 'Downloading...');
+    setInlineState(button, 'busy', label);
+  });
+}
+
+/**
+ * Style the inline buttons once per page
+ */
+function injectInlineStyles() {
+  if (document.getElementById('ilovegcr-inline-styles')) return;
+  
+  const style = document.createElement('style');
+  style.id = 'ilovegcr-inline-styles';
+  style.textContent = `
+    .${INLINE_CLASS} {
+      margin: 4px 8px; padding: 4px 10px; border: 1px solid #dadce0; border-radius: 4px;
+      background: #fff; color: #1e8e3e; font: 500 12px 'Google Sans', Roboto, Arial, sans-serif;
+      cursor: pointer; white-space: nowrap;
+    }
+    .${INLINE_CLASS}:hover { background: #e6f4ea; }
+    .${INLINE_CLASS}.all { margin: 8px 0; background: #1e8e3e; color: #fff; border-color: #1e8e3e; }
+    .${INLINE_CLASS}[data-state="busy"] { color: #5f6368; cursor: progress; }
+    .${INLINE_CLASS}.all[data-state="busy"] { background: #5f6368; border-color: #5f6368; color: #fff; }
+    .${INLINE_CLASS}[data-state="done"] { color: #137333; }
+    .${INLINE_CLASS}[data-state="failed"] { color: #c5221f; }
+  `;
+  document.head.appendChild(style);
+}
+
 // =============================================================================
 // FILE SCANNING
 // =============================================================================
 
 /**
- * Scan the page for downloadable files
- * Only returns files with valid extensions
+ * Scan the page for downloadable files.
+ * Attachments are classified by URL, card icon and type subtitle rather than
+ * by their title, so Google-native files titled without an extension are kept.
+ * @param {Document} root - Document to scan (defaults to the live page)
+ * @param {Array} skipped - Optional array that receives {filename, url, reason} for skipped links
+ * @returns {Array} - Array of {url, filename, mimeType, nameConfidence, nameStrategy} objects;
+ *   mimeType is null when unknown; Drive folders carry kind: 'folder'
  */
-function scanForFiles() {
+function scanForFiles(root = document, skipped = []) {
   const files = [];
   const seenUrls = new Set();
   
   // Find all links that could be attachments
-  const links = document.querySelectorAll('a[href*="drive.google.com"], a[href*="docs.google.com"]');
+  const links = root.querySelectorAll('a[href*="drive.google.com"], a[href*="docs.google.com"]');
   
   links.forEach(link => {
     const url = link.href;
     if (!url || seenUrls.has(url)) return;
     
-    // Skip navigation links
-    if (isNavigationLink(url)) return;
+    // Skip navigation links, and Forms (collected by scanForLinks)
+    if (isNavigationLink(url) || isFormUrl(url)) return;
     
-    // Get the filename from the link
-    const filename = extractFilename(link);
+    seenUrls.add(url);
+    
+    // Get the filename and type from the link
+    const name = extractFilenameResult(link);
+    let filename = name.value || "unknown_file";
+    const mimeType = classifyAttachment(link, filename);
     
-    // Only include files with valid extensions
-    if (!hasValidExtension(filename)) {
-      console.log("[Classroom Downloader] Skipping (no valid extension):", filename);
+    const skipReason = getSkipReason(url, mimeType);
+    if (skipReason) {
+      console.debug(`[Classroom Downloader] Skipping (${skipReason}):`, filename);
+      skipped.push({ filename, url, reason: skipReason });
       return;
     }
     
-    seenUrls.add(url);
-    files.push({ url, filename });
+    // Give extension-less titles the extension their type implies
+    const extension = MIME_EXTENSIONS[mimeType];
+    if (extension && !/\.[a-zA-Z0-9]{2,5}$/.test(filename)) {
+      filename = `${filename}.${extension}`;
+    }
     
-    console.log("[Classroom Downloader] Found file:", filename);
+    const source = { nameConfidence: name.confidence, nameStrategy: name.strategy, section: getAttachmentSection(link) };
+    if (mimeType === 'application/vnd.google-apps.folder') {
+      // Listed and downloaded recursively by the background worker
+      files.push({ url, filename, mimeType, kind: 'folder', ...source });
+    } else {
+      files.push({ url, filename, mimeType, ...source });
+    }
+    
+    console.debug("[Classroom Downloader] Found file:", filename, mimeType || "(unknown type)");
   });
   
   return files;
 }
 
+/**
+ * Work out an attachment's MIME type from, in order: the URL's document type,
+ * the card's file-type icon, the title extension, and the card's type subtitle
+ * @param {Element} link - Attachment link
+ * @param {string} filename - Extracted title
+ * @returns {string|null} - MIME type (may be a wildcard like "video/*"), or null
+ */
+function classifyAttachment(link, filename) {
+  const nativeMatch = link.href.match(/docs\.google\.com\/(document|spreadsheets|presentation|drawings|forms)\//);
+  if (nativeMatch) return NATIVE_URL_TYPES[nativeMatch[1]];
+  
+  if (/drive\.google\.com\/(drive\/(u\/\d+\/)?folders|folderview)/.test(link.href)) {
+    return 'application/vnd.google-apps.folder';
+  }
+  
+  const card = link.closest(CARD_SELECTOR) || link;
+  
+  // Drive file-type icons are served from .../type/<mime type>
+  const icon = card.querySelector('img[src*="/type/"]');
+  const iconMatch = icon?.getAttribute('src').match(/\/type\/([\w.+-]+\/[\w.+-]+)/);
+  if (iconMatch) return iconMatch[1];
+  
+  const extMatch = filename.toLowerCase().match(/\.([a-z0-9]+)$/);
+  const fromExtension = extMatch && Object.keys(MIME_EXTENSIONS).find(mime => MIME_EXTENSIONS[mime] === extMatch[1]);
+  if (fromExtension) return fromExtension;
+  
+  const subtitle = getCardSubtitle(card);
+  return subtitle ? SUBTITLE_TYPES[subtitle] : null;
+}
+
+/**
+ * Find the type subtitle of an attachment card: an element whose whole text is one
+ * of the SUBTITLE_TYPES labels, so a title like "Video editing tips" doesn't count
+ * @returns {string|null} - The label, or null
+ */
+function getCardSubtitle(card) {
+  const labels = new RegExp(`^(${Object.keys(SUBTITLE_TYPES).join('|')})$`);
+  for (const element of card.querySelectorAll('div, span')) {
+    if (element.children.length > 0) continue;
+    const match = (element.textContent || '').trim().match(labels);
+    if (match) return match[1];
+  }
+  return null;
+}
+
+/**
+ * Explain why an attachment can't be downloaded, or return null if it can
+ */
+function getSkipReason(url, mimeType) {
+  // Links to Drive itself (My Drive, Shared with me) rather than to a file or folder
+  const isDriveFile = /\/file\/d\/|[?&]id=/.test(url) || mimeType === 'application/vnd.google-apps.folder';
+  if (/drive\.google\.com\/drive\//.test(url) && !isDriveFile) return 'Not a link to a file or folder';
+  return null;
+}
+
+/**
+ * Scan the page for YouTube videos, Google Forms and web links posted as attachments.
+ * External sites only count inside attachment cards, so Classroom's own UI links are ignored.
+ * @param {Document} root - Document to scan (defaults to the live page)
+ * @returns {Array} - Array of {url, filename, kind: 'link', linkType} objects
+ */
+function scanForLinks(root = document) {
+  const links = [];
+  const seenUrls = new Set();
+  const anchors = root.querySelectorAll(
+    'a[href*="youtube.com/watch"], a[href*="youtu.be/"], a[href*="docs.google.com/forms"], ' +
+    CARD_SELECTOR.split(', ').map(card => `${card} a[href^="http"]`).join(', ')
+  );
+  
+  anchors.forEach(anchor => {
+    const url = unwrapRedirectUrl(anchor.href);
+    if (!url || seenUrls.has(url)) return;
+    
+    const linkType = getLinkType(url);
+    if (!linkType) return;
+    
+    seenUrls.add(url);
+    const name = extractFilenameResult(anchor);
+    const title = name.value || url;
+    links.push({
+      url,
+      filename: title,
+      kind: 'link',
+      linkType,
+      nameConfidence: name.confidence,
+      nameStrategy: name.strategy,
+      section: getAttachmentSection(anchor)
+    });
+    
+    console.debug("[Classroom Downloader] Found link:", title, linkType);
+  });
+  
+  return links;
+}
+
+/**
+ * Classify a link as youtube, form or web; null for files and Classroom UI links
+ */
+function getLinkType(url) {
+  let host;
+  try {
+    host = new URL(url).hostname;
+  } catch (error) {
+    return null;
+  }
+  
+  if (/(^|\.)(youtube\.com|youtu\.be)$/.test(host)) return 'youtube';
+  if (isFormUrl(url)) return 'form';
+  // Drive and Docs files are handled by scanForFiles
+  if (/(^|\.)(drive|docs)\.google\.com$/.test(host) || host.endsWith('googleusercontent.com')) return null;
+  if (UI_LINK_HOSTS.test(host)) return null;
+  return 'web';
+}
+
+/**
+ * Check if URL is a Google Form
+ */
+function isFormUrl(url) {
+  return /docs\.google\.com\/forms\//.test(url);
+}
+
+/**
+ * Classroom sends external links through google.com/url?q=...; return the real target
+ */
+function unwrapRedirectUrl(url) {
+  try {
+    const parsed = new URL(url);
+    if (/(^|\.)google\.com$/.test(parsed.hostname) && parsed.pathname === '/url') {
+      return parsed.searchParams.get('q') || parsed.searchParams.get('url') || url;
+    }
+  } catch (error) {
+    return url;
+  }
+  return url;
+}
+
 /**
  * Check if URL is a navigation link (not a file)
  */
@@ -107,66 +612,252 @@ function isNavigationLink(url) {
 }
 
 /**
- * Check if filename has a valid extension
+ * Extract filename from a link element
  */
-function hasValidExtension(filename) {
-  const lower = filename.toLowerCase();
-  return VALID_EXTENSIONS.some(ext => lower.endsWith('.' + ext));
+function extractFilename(link) {
+  return extractFilenameResult(link).value || "unknown_file";
 }
 
+// =============================================================================
+// PAGE SECTIONS
+// =============================================================================
+
+// Containers of the student's parts of an assignment page; everything else is
+// the teacher's materials. Headings are the fallback when the markup changes.
+const SECTION_SELECTORS = {
+  work: ['[aria-label^="Your work"]', '[guidedhelpid="submissionManagerGH"]'],
+  comments: ['[aria-label^="Private comments"]', '[aria-label^="Class comments"]', '.ZeiYle']
+};
+
+const SECTION_HEADINGS = {
+  work: /^your work\b/i,
+  comments: /^(private|class) comments?\b/i
+};
+
 /**
- * Extract filename from a link element
+ * Work out which part of an assignment page an attachment sits in
+ * @param {Element} link - Attachment link
+ * @returns {string} - materials | work | comments
  */
-function extractFilename(link) {
-  let filename = "";
-  
-  // Method 1: Get the link text (first line only, before any subtitle)
-  const linkText = link.textContent || "";
-  const lines = linkText.split(/[\n\r]/);
-  filename = lines[0]?.trim() || "";
-  
-  // Clean up: Remove common subtitle patterns
-  filename = filename
-    .replace(/Microsoft PowerPoint.*$/i, "")
-    .replace(/Microsoft Word.*$/i, "")
-    .replace(/Microsoft Excel.*$/i, "")
-    .replace(/Google Docs.*$/i, "")
-    .replace(/Google Sheets.*$/i, "")
-    .replace(/Google Slides.*$/i, "")
-    .trim();
+function getAttachmentSection(link) {
+  const section = Object.keys(SECTION_SELECTORS)
+    .find(key => SECTION_SELECTORS[key].some(selector => link.closest(selector)));
+  if (section) return section;
   
-  // If filename has extension followed by junk, extract just up to extension
-  const extMatch = filename.match(/^(.+?\.(pptx?|docx?|xlsx?|pdf|txt|zip|rar|7z|jpe?g|png|gif|bmp|mp[34]|wav|avi|mov))/i);
-  if (extMatch) {
-    filename = extMatch[1];
+  // The nearest heading above the link (not a card title) in the innermost container
+  // that has one decides; a heading further down belongs to the sections that follow
+  for (let node = link.parentElement; node; node = node.parentElement) {
+    const heading = [...node.querySelectorAll('h1, h2, h3, [role="heading"]')]
+      .filter(element => !element.closest(CARD_SELECTOR) && !element.closest('[role="listitem"]'))
+      .filter(element => element.compareDocumentPosition(link) & Node.DOCUMENT_POSITION_FOLLOWING)
+      .pop();
+    if (!heading) continue;
+    const text = getText(heading).split('\n')[0];
+    return Object.keys(SECTION_HEADINGS).find(key => SECTION_HEADINGS[key].test(text)) || 'materials';
   }
+  return 'materials';
+}
+
+// =============================================================================
+// LAYERED EXTRACTION
+// =============================================================================
+
+// Confidence lost when a title ends in an ellipsis: Classroom truncated it
+const TRUNCATION_PENALTY = 0.2;
+
+// Labels that name an action rather than the attachment
+const GENERIC_LABELS = /^(open|download|preview|remove|more options|attachment)\b/i;
+
+/**
+ * Run extraction strategies in order until one produces a value.
+ * Stable signals (ARIA roles and labels, document structure) come first;
+ * Classroom's obfuscated class names are only hints, since Google renames
+ * them without notice.
+ * @param {Array} strategies - [{name, confidence, extract}]; extract() returns a string, an Element or null
+ * @returns {Object} - {value, element, confidence, strategy, failed}; failed names the strategies that found nothing
+ */
+function runStrategies(strategies) {
+  const failed = [];
   
-  // Method 2: Try to get from parent card's title element
-  if (!filename || filename.length < 2) {
-    const card = link.closest('.asCOqd, .vwNuXe, .LYrz1b, .WdRoE');
-    if (card) {
-      const titleEl = card.querySelector('.yzJ8Vb, .onkcGd, .OYqtGe');
-      if (titleEl) {
-        filename = titleEl.textContent?.trim().split(/[\n\r]/)[0] || "";
-      }
+  for (const { name, confidence, extract } of strategies) {
+    let found = null;
+    try {
+      found = extract();
+    } catch (error) {
+      found = null;
+    }
+    
+    const element = found instanceof Element ? found : null;
+    const value = (element ? getText(element).split('\n')[0] : found || '').replace(/\s+/g, ' ').trim();
+    if (value.length >= 2) {
+      const truncated = /(…|\.\.\.)$/.test(value);
+      return {
+        value,
+        element,
+        confidence: Math.max(0, +(confidence - (truncated ? TRUNCATION_PENALTY : 0)).toFixed(2)),
+        strategy: name,
+        failed
+      };
     }
+    failed.push(name);
   }
   
-  // Method 3: Try to get from link title/aria-label
-  if (!filename || filename.length < 2) {
-    filename = link.getAttribute("title") || link.getAttribute("aria-label") || "";
-    filename = filename.split(/[\n\r]/)[0]?.trim() || "";
-  }
+  return { value: null, element: null, confidence: 0, strategy: null, failed };
+}
+
+/**
+ * Find the card an attachment link sits in: a list item first, the known classes as a hint
+ */
+function getAttachmentCard(link) {
+  return link.closest('[role="listitem"]') || link.closest(CARD_SELECTOR);
+}
+
+/**
+ * Remove type prefixes and subtitles Classroom adds around a title,
+ * e.g. "Attachment: PDF: Notes.pdf" or "Notes Microsoft Word"
+ */
+function stripTypeLabels(text) {
+  const types = Object.keys(SUBTITLE_TYPES).join('|');
+  // Only the two-word app names are safe to cut from the end; "PDF" could be part of the title
+  const apps = Object.keys(SUBTITLE_TYPES).filter(type => type.includes(' ')).join('|');
+  return (text || '')
+    .split(/[\n\r]/)[0]
+    .replace(/^(attachment|file|link)\s*[:\-]\s*/i, '')
+    .replace(new RegExp(`^(${types})\\s*:\\s*`, 'i'), '')
+    .replace(new RegExp(`(${apps}).*$`, 'i'), '')
+    .trim();
+}
+
+/**
+ * Work out an attachment's title
+ * @param {Element} link - Attachment link
+ * @returns {Object} - runStrategies() result
+ */
+function extractFilenameResult(link) {
+  const card = getAttachmentCard(link);
+  const label = (attribute) => {
+    const text = stripTypeLabels(link.getAttribute(attribute));
+    return GENERIC_LABELS.test(text) ? null : text;
+  };
   
-  // Final cleanup
-  filename = filename.replace(/\s+/g, " ").trim();
+  return runStrategies([
+    { name: 'aria-label', confidence: 0.9, extract: () => label('aria-label') },
+    { name: 'title-attribute', confidence: 0.85, extract: () => label('title') },
+    { name: 'card-heading', confidence: 0.8, extract: () => card?.querySelector('[role="heading"], h2, h3, h4') },
+    { name: 'link-text', confidence: 0.7, extract: () => {
+      const text = stripTypeLabels(link.textContent);
+      // A title with an extension followed by junk ends at the extension
+      const extMatch = text.match(/^(.+?\.(pptx?|docx?|xlsx?|pdf|txt|zip|rar|7z|jpe?g|png|gif|bmp|mp[34]|wav|avi|mov))/i);
+      return extMatch ? extMatch[1] : text;
+    } },
+    { name: 'class-hint', confidence: 0.5, extract: () => card?.querySelector('.yzJ8Vb, .onkcGd, .OYqtGe') }
+  ]);
+}
+
+/**
+ * Work out the assignment title
+ * @param {Document} root - Document to read
+ * @returns {Object} - runStrategies() result
+ */
+function getAssignmentNameResult(root = document) {
+  const outsideChrome = (element) => !element.closest('[role="banner"], [role="navigation"], header, nav');
   
-  // If still no filename, generate a placeholder (will be filtered out later)
-  if (!filename || filename.length < 2) {
-    filename = "unknown_file";
-  }
+  return runStrategies([
+    { name: 'main-heading', confidence: 0.9, extract: () =>
+      root.querySelector('[role="main"] h1, [role="main"] [role="heading"][aria-level="1"]') },
+    { name: 'page-heading', confidence: 0.75, extract: () =>
+      [...root.querySelectorAll('h1, [role="heading"][aria-level="1"]')].find(outsideChrome) },
+    { name: 'class-hint', confidence: 0.5, extract: () => findFirst(root, TITLE_SELECTORS) },
+    { name: 'page-title', confidence: 0.3, extract: () => {
+      // "Assignment - Course - Google Classroom"
+      const pageTitle = (root.title || '').replace(/ - Google Classroom$/i, '').trim();
+      return pageTitle.split(' - ')[0].trim();
+    } }
+  ]);
+}
+
+// =============================================================================
+// PAGE DIAGNOSIS
+// =============================================================================
+
+/**
+ * Describe how well the scanner understands the current page, for bug reports.
+ * Holds only counts, strategy names and selector hits: no titles, names, emails or IDs.
+ * @returns {Object} - Diagnosis report
+ */
+function diagnosePage() {
+  const anchors = [...document.querySelectorAll('a[href*="drive.google.com"], a[href*="docs.google.com"]')]
+    .filter(link => !isNavigationLink(link.href));
+  const results = anchors.map(extractFilenameResult);
+  const title = getAssignmentNameResult();
+  const details = getAssignmentId() ? getAssignmentDetails() : null;
+  
+  const byStrategy = {};
+  const failures = {};
+  results.forEach(result => {
+    const strategy = result.strategy || 'none';
+    byStrategy[strategy] = (byStrategy[strategy] || 0) + 1;
+    result.failed.forEach(name => { failures[name] = (failures[name] || 0) + 1; });
+  });
   
-  return filename;
+  const bySection = {};
+  [...(latestScan?.files || []), ...(latestScan?.links || [])].forEach(item => {
+    const section = item.section || 'none';
+    bySection[section] = (bySection[section] || 0) + 1;
+  });
+  
+  const countMatches = (selector) => {
+    try {
+      return document.querySelectorAll(selector).length;
+    } catch (error) {
+      return -1;
+    }
+  };
+  const selectorHits = (selectors) => Object.fromEntries(selectors.map(selector => [selector, countMatches(selector)]));
+  
+  return {
+    generatedAt: new Date().toISOString(),
+    extensionVersion: browserAPI.runtime.getManifest().version,
+    userAgent: navigator.userAgent,
+    // IDs in the path are replaced, so the report can't identify a class or assignment
+    page: window.location.pathname.replace(/\/(c|a|m|sa|mc|w|t|u)\/[^\/]+/g, '/$1/:id'),
+    pageType: getAssignmentId() ? 'item' : isCoursePage() ? 'course' : 'other',
+    assignmentTitle: {
+      strategy: title.strategy,
+      confidence: title.confidence,
+      failedStrategies: title.failed
+    },
+    attachments: {
+      driveLinks: anchors.length,
+      found: latestScan ? latestScan.files.length : null,
+      links: latestScan ? latestScan.links.length : null,
+      skipped: latestScan ? latestScan.skipped.length : null,
+      byStrategy,
+      bySection,
+      failedStrategies: failures,
+      unnamed: results.filter(result => !result.value).length,
+      lowConfidence: results.filter(result => result.confidence > 0 && result.confidence < 0.6).length
+    },
+    details: details && {
+      teacher: Boolean(details.teacher),
+      postedDate: Boolean(details.postedText),
+      dueDate: Boolean(details.dueText),
+      dueDateParsed: Boolean(details.dueDate),
+      points: details.points !== null,
+      topic: Boolean(details.topic),
+      instructions: Boolean(details.instructions),
+      rubricCriteria: details.rubric.length,
+      comments: details.comments.length
+    },
+    structure: selectorHits(['[role="main"]', '[role="listitem"]', '[role="heading"]', 'h1', '[role="banner"]']),
+    classHints: selectorHits([
+      ...CARD_SELECTOR.split(', '),
+      ...TITLE_SELECTORS,
+      '.yzJ8Vb', '.onkcGd', '.OYqtGe',
+      ...Object.values(DETAIL_SELECTORS).flat(),
+      ...Object.values(SECTION_SELECTORS).flat()
+    ])
+  };
 }
 
 // =============================================================================
@@ -175,37 +866,372 @@ function extractFilename(link) {
 
 /**
  * Get the assignment/material name for folder organization
+ * @param {Document} root - Document to read (defaults to the live page)
+ */
+function getAssignmentName(root = document) {
+  const result = getAssignmentNameResult(root);
+  console.debug(`[Classroom Downloader] Assignment name (${result.strategy}, ${result.confidence}):`, result.value);
+  return result.value || "Classroom_Download";
+}
+
+/**
+ * Get the Classroom item ID of the current assignment/material page, if any
+ */
+function getAssignmentId(url = window.location.href) {
+  return url.match(COURSE_ITEM_PATTERN)?.[3] || null;
+}
+
+// =============================================================================
+// ASSIGNMENT DETAILS
+// =============================================================================
+
+// Class hints for Classroom's assignment page; text patterns are the fallback
+const DETAIL_SELECTORS = {
+  instructions: ['.nGi02b', '[guidedhelpid="assignmentInstructionsGH"]', '.QGgSM'],
+  header: ['.YVvGBb + div', '.IMvYId', '.cSyPgb'],
+  topic: ['.Cx437e', '[data-topic-name]'],
+  rubric: ['[aria-label^="Rubric"]', '.wRjPHd'],
+  comments: ['[aria-label^="Class comments"]', '.ZeiYle']
+};
+
+/**
+ * Collect everything on an assignment page besides its attachments
+ * @param {Document} root - Document to read (defaults to the live page)
+ * @param {string} url - URL of the page
+ * @returns {Object} - {title, url, teacher, postedDate, dueDate, points, topic,
+ *   instructions, rubric: [{criterion, description, levels}], comments: [{author, date, text}]}
+ */
+function getAssignmentDetails(root = document, url = window.location.href) {
+  const header = findFirst(root, DETAIL_SELECTORS.header);
+  const headerText = getText(header);
+  // The header reads "Teacher Name • Oct 10 (Edited Oct 12)"
+  const [teacher, posted] = headerText.includes('•') ? headerText.split('•').map(part => part.trim()) : [null, null];
+  const dueText = findShortText(root, /^Due\b/i)?.replace(/^Due\s*/i, '');
+  const pointsText = findShortText(root, /^\d+(\.\d+)?\s*points?$/i) || findShortText(root, /^\d+\/\d+$/);
+  
+  return {
+    title: getAssignmentName(root),
+    url: url.split(/[?#]/)[0],
+    teacher: teacher || null,
+    postedDate: parseClassroomDate(posted?.replace(/\(.*\)/, '')),
+    postedText: posted || null,
+    dueDate: parseClassroomDate(dueText),
+    dueText: dueText || null,
+    points: pointsText ? parseFloat(pointsText.match(/\d+(\.\d+)?/g).pop()) : null,
+    topic: getText(findFirst(root, DETAIL_SELECTORS.topic)) || null,
+    instructions: getText(findFirst(root, DETAIL_SELECTORS.instructions)) || null,
+    rubric: scanRubric(root),
+    comments: scanClassComments(root)
+  };
+}
+
+/**
+ * Read the rubric's criteria and their rating levels
+ */
+function scanRubric(root) {
+  const rubric = findFirst(root, DETAIL_SELECTORS.rubric);
+  if (!rubric) return [];
+  
+  return [...rubric.querySelectorAll('[role="row"], [role="listitem"]')].map(row => {
+    const cells = [...row.querySelectorAll('[role="cell"], [role="gridcell"], li')];
+    const lines = getText(row).split('\n').map(line => line.trim()).filter(Boolean);
+    return {
+      criterion: lines[0] || '',
+      description: lines.length > 1 && cells.length === 0 ? lines.slice(1).join('\n') : null,
+      levels: cells.map(cell => {
+        const [first, ...rest] = getText(cell).split('\n').map(line => line.trim()).filter(Boolean);
+        const points = first?.match(/^(\d+(?:\.\d+)?)\s*(?:points?|pts)?$/i);
+        return points
+          ? { points: parseFloat(points[1]), title: rest[0] || '', description: rest.slice(1).join('\n') }
+          : { points: null, title: first || '', description: rest.join('\n') };
+      })
+    };
+  }).filter(criterion => criterion.criterion);
+}
+
+/**
+ * Read the class comments as {author, date, text} entries
+ */
+function scanClassComments(root) {
+  const section = findFirst(root, DETAIL_SELECTORS.comments);
+  if (!section) return [];
+  
+  return [...section.querySelectorAll('[role="listitem"], li')].map(comment => {
+    const lines = getText(comment).split('\n').map(line => line.trim()).filter(Boolean);
+    // Each comment starts with "Author" and a short date line, then the text
+    const hasDate = lines[1] && lines[1].length < 30 && /\d|yesterday|today/i.test(lines[1]);
+    return {
+      author: lines[0] || null,
+      date: hasDate ? lines[1] : null,
+      text: lines.slice(hasDate ? 2 : 1).join('\n')
+    };
+  }).filter(comment => comment.text);
+}
+
+/**
+ * Return the first element matching any of the selectors
  */
-function getAssignmentName() {
-  // Try specific selectors for the title
-  const titleSelectors = [
-    '.YVvGBb',       // Main title
-    '.KPJZse',       // Title variant
-    '.Qcpryb',       // Another title
-    '.p8Lhse',       // Post title
-    'h1',            // Generic h1
+function findFirst(root, selectors) {
+  for (const selector of selectors) {
+    const element = root.querySelector(selector);
+    if (element) return element;
+  }
+  return null;
+}
+
+/**
+ * Text of an element with line breaks kept (innerText needs a rendered page)
+ */
+function getText(element) {
+  if (!element) return '';
+  const text = element.innerText ?? element.textContent ?? '';
+  return text.replace(/[ \t]+/g, ' ').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Find the first short text node matching a pattern, e.g. "Due Oct 20, 11:59 PM"
+ */
+function findShortText(root, pattern) {
+  const walker = (root.ownerDocument || root).createTreeWalker(root.body || root, NodeFilter.SHOW_TEXT);
+  while (walker.nextNode()) {
+    const text = walker.currentNode.textContent.trim();
+    if (text.length > 0 && text.length < 60 && pattern.test(text)) return text;
+  }
+  return null;
+}
+
+/**
+ * Turn a Classroom date ("Oct 20, 11:59 PM", "Tomorrow", "Oct 20, 2025") into an ISO string
+ * @returns {string|null} - ISO date, or null when the text isn't a date
+ */
+function parseClassroomDate(text) {
+  if (!text) return null;
+  
+  const cleaned = text.replace(/\s+/g, ' ').trim();
+  const [dayPart, ...timeParts] = cleaned.split(',').map(part => part.trim());
+  const relative = { today: 0, tomorrow: 1, yesterday: -1 }[dayPart.toLowerCase()];
+  // Date.parse is lenient enough to read "No due date" as January 1st
+  if (relative === undefined && !/\d/.test(dayPart)) return null;
+  const time = timeParts.filter(part => !/^\d{4}$/.test(part)).join(' ');
+  let date;
+  
+  if (relative !== undefined) {
+    const day = new Date();
+    day.setDate(day.getDate() + relative);
+    date = new Date(`${day.toDateString()} ${time}`);
+  } else {
+    // Dates in the current year are shown without one
+    const year = timeParts.find(part => /^\d{4}$/.test(part)) || (/\b\d{4}\b/.test(dayPart) ? '' : new Date().getFullYear());
+    date = new Date(`${dayPart} ${year} ${time}`.replace(/\s+/g, ' ').trim());
+  }
+  
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// =============================================================================
+// ACCOUNT DETECTION
+// =============================================================================
+
+/**
+ * Detect which Google account the Classroom page is signed into.
+ * Classroom URLs carry /u/<index>/ for every account but the first; the
+ * Google bar's account button names the email.
+ * @returns {Object} - {index, email}; email is null when it isn't shown
+ */
+function getActiveAccount() {
+  const index = parseInt(window.location.pathname.match(/\/u\/(\d+)\//)?.[1] || '0', 10);
+  const accountButton = document.querySelector('a[aria-label^="Google Account"], [aria-label*="@"][role="button"], a[href*="SignOutOptions"]');
+  const label = accountButton?.getAttribute('aria-label') || accountButton?.title || '';
+  const email = label.match(/[\w.+-]+@[\w-]+(\.[\w-]+)+/)?.[0] || null;
+  return { index, email };
+}
+
+// =============================================================================
+// COURSE SCANNING
+// =============================================================================
+
+/**
+ * Check if the URL is a course Stream (/c/<id>) or Classwork (/w/<id>/t/...) page
+ */
+function isCoursePage(url = window.location.href) {
+  return /\/(c\/[^\/?#]+|w\/[^\/?#]+\/t\/[^\/?#]+)\/?(?:[?#]|$)/.test(url);
+}
+
+/**
+ * Get the course name shown in the page header
+ */
+function getCourseName() {
+  const headerSelectors = [
+    '.tNGpbb',       // Course banner title
+    '.YVvGBb',       // Header title
+    '[role="banner"] h1'
   ];
   
-  for (const selector of titleSelectors) {
+  for (const selector of headerSelectors) {
     const element = document.querySelector(selector);
     if (element && element.textContent?.trim()) {
-      const name = element.textContent.trim();
-      console.log("[Classroom Downloader] Found assignment name:", name);
-      return name;
+      return element.textContent.trim().split(/[\n\r]/)[0].trim();
     }
   }
   
-  // Fallback to page title
-  let pageTitle = document.title;
-  pageTitle = pageTitle.replace(/ - Google Classroom$/i, "").trim();
+  const pageTitle = document.title.replace(/ - Google Classroom$/i, "").trim();
+  return pageTitle.split(" - ").pop().trim() || "Classroom_Course";
+}
+
+/**
+ * Collect every assignment, material and question linked from the course page
+ * @returns {Array} - Array of {id, type, title, url, topic} objects
+ */
+function collectCourseItems() {
+  const items = [];
+  const seenIds = new Set();
+  
+  document.querySelectorAll('a[href*="/details"]').forEach(link => {
+    const match = link.href.match(COURSE_ITEM_PATTERN);
+    if (!match || seenIds.has(match[3])) return;
+    
+    seenIds.add(match[3]);
+    const title = (link.textContent || link.getAttribute("aria-label") || "")
+      .split(/[\n\r]/)[0]
+      .replace(/\s+/g, " ")
+      .trim();
+    
+    // Classwork groups items under topic headings
+    const topicHeading = link.closest('[data-topic-id], section, [role="region"]')?.querySelector('h2, h3, [role="heading"]');
+    
+    items.push({
+      id: match[3],
+      type: COURSE_ITEM_TYPES[match[2]],
+      title: title || `${COURSE_ITEM_TYPES[match[2]]} ${items.length + 1}`,
+      url: link.href.split(/[?#]/)[0],
+      topic: getText(topicHeading).split('\n')[0] || null
+    });
+  });
+  
+  return items;
+}
+
+// How long an item page gets to load and render, and how often it is looked at
+const ITEM_RENDER_TIMEOUT_MS = 15000;
+const ITEM_RENDER_POLL_MS = 500;
+
+// Parts of an item page that show Classroom has rendered it, attachments or not
+const ITEM_RENDERED_SELECTORS = [...TITLE_SELECTORS, ...DETAIL_SELECTORS.header];
+
+/**
+ * Load an item's detail page in a hidden frame and scan it for attachments once
+ * Classroom has rendered them. The page's served HTML is only a shell; the cards
+ * exist after its scripts run, so fetching the HTML finds next to nothing.
+ * @param {Object} item - {id, type, title, url, topic} object
+ * @returns {Promise<Object>} - The item with its details and files filled in;
+ *   files is empty for an item without attachments
+ * @throws {Error} - When the page doesn't load or render in time
+ */
+async function scanCourseItem(item) {
+  const frame = await loadItemFrame(item.url);
+  
+  try {
+    const doc = frame.contentDocument;
+    if (!doc) throw new Error('Classroom did not let the page open in a frame');
+    
+    // Cards keep arriving for a moment; once the item's title is up, stop when a
+    // look finds the same number as the last, none included
+    const deadline = Date.now() + ITEM_RENDER_TIMEOUT_MS;
+    let files = [];
+    let skipped = [];
+    let lastCount = -1;
+    let rendered = false;
+    while (Date.now() < deadline) {
+      skipped = [];
+      files = [...scanForFiles(doc, skipped), ...scanForLinks(doc)];
+      const count = files.length + skipped.length;
+      rendered = rendered || count > 0 || Boolean(findFirst(doc, ITEM_RENDERED_SELECTORS));
+      if (rendered && count === lastCount) break;
+      lastCount = count;
+      await new Promise(resolve => setTimeout(resolve, ITEM_RENDER_POLL_MS));
+    }
+    if (!rendered) {
+      throw new Error('Page did not finish loading');
+    }
+    
+    const details = getAssignmentDetails(doc, item.url);
+    return {
+      ...item,
+      details: { ...details, title: item.title, topic: details.topic || item.topic },
+      files,
+      skipped
+    };
+  } finally {
+    frame.remove();
+  }
+}
+
+/**
+ * Open a page in an off-screen frame of this tab
+ * @param {string} url - Classroom page on the same origin
+ * @returns {Promise<HTMLIFrameElement>} - The loaded frame; the caller removes it
+ */
+function loadItemFrame(url) {
+  return new Promise((resolve, reject) => {
+    const frame = document.createElement('iframe');
+    // Given a window-sized box so the page lays out as it would in a tab
+    frame.style.cssText = 'position: fixed; left: -10000px; top: 0; width: 1024px; height: 768px; border: 0;';
+    frame.setAttribute('aria-hidden', 'true');
+    
+    const timer = setTimeout(() => {
+      frame.remove();
+      reject(new Error('Page took too long to load'));
+    }, ITEM_RENDER_TIMEOUT_MS);
+    frame.addEventListener('load', () => {
+      clearTimeout(timer);
+      resolve(frame);
+    }, { once: true });
+    
+    frame.src = url;
+    document.body.appendChild(frame);
+  });
+}
+
+/**
+ * Scan every item of the current course for attachments.
+ * Items are opened one at a time to stay gentle on Classroom.
+ * @returns {Promise<Object>} - {courseName, account, items}
+ */
+async function scanCourse() {
+  if (!isCoursePage()) {
+    throw new Error("Open the course Stream or Classwork page first");
+  }
+  
+  const courseName = getCourseName();
+  const account = getActiveAccount();
+  const items = [];
+  const seenUrls = new Set();
+  
+  for (const item of collectCourseItems()) {
+    try {
+      const scanned = await scanCourseItem(item);
+      scanned.files = scanned.files
+        .filter(file => !seenUrls.has(file.url))
+        .map(file => ({ ...file, account, pageUrl: item.url, assignmentName: item.title }));
+      scanned.files.forEach(file => seenUrls.add(file.url));
+      items.push(scanned);
+      console.log(`[Classroom Downloader] ${item.title}: ${scanned.files.length} file(s)`);
+    } catch (error) {
+      console.warn(`[Classroom Downloader] Could not scan ${item.url}:`, error);
+      items.push({ ...item, files: [], skipped: [], error: error.message });
+    }
+  }
   
-  // Extract just the assignment part if there's a separator
-  if (pageTitle.includes(" - ")) {
-    pageTitle = pageTitle.split(" - ")[0].trim();
+  // Attachments posted directly on the Stream (announcements) have no detail page
+  const streamSkipped = [];
+  const streamFiles = [...scanForFiles(document, streamSkipped), ...scanForLinks(document)]
+    .filter(file => !seenUrls.has(file.url))
+    .map(file => ({ ...file, account, pageUrl: window.location.href.split('#')[0], section: null }));
+  if (streamFiles.length > 0 || streamSkipped.length > 0) {
+    items.push({ id: "stream", type: "Announcement", title: "Stream posts", url: window.location.href, files: streamFiles, skipped: streamSkipped });
   }
   
-  console.log("[Classroom Downloader] Using page title:", pageTitle);
-  return pageTitle || "Classroom_Download";
+  return { courseName, account, items };
 }
 
 // =============================================================================
@@ -213,3 +1239,4 @@ function getAssignmentName() {
 // =============================================================================
 
 console.log("[Classroom Downloader] Content script loaded on:", window.location.href);
+startLiveDetection();
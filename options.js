@@ -0,0 +1,207 @@
+/**
+ * Options Page Script for Google Classroom Attachment Downloader
+ * Edits the settings kept by the background worker, and imports/exports them as JSON
+ */
+
+// Export formats offered per Google-native type, as the background worker accepts them
+let exportFormatChoices = {};
+
+const NATIVE_TYPE_LABELS = {
+  document: 'Docs',
+  spreadsheet: 'Sheets',
+  presentation: 'Slides',
+  drawing: 'Drawings'
+};
+
+// Browser API compatibility
+const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
+
+// Initialize options page
+document.addEventListener('DOMContentLoaded', async () => {
+  document.getElementById('saveBtn').addEventListener('click', saveSettings);
+  document.getElementById('exportBtn').addEventListener('click', exportSettings);
+  document.getElementById('importBtn').addEventListener('click', () => document.getElementById('importFile').click());
+  document.getElementById('importFile').addEventListener('change', importSettings);
+  document.getElementById('folderTemplate').addEventListener('input', updateFolderPreview);
+  document.getElementById('downloadRoot').addEventListener('input', updateFolderPreview);
+  document.getElementById('fileTypeMode').addEventListener('change', updateFileTypeInput);
+  document.getElementById('sizeLimitMode').addEventListener('change', updateSizeLimitInput);
+  
+  try {
+    const response = await browserAPI.runtime.sendMessage({ action: "GET_SETTINGS" });
+    exportFormatChoices = response.exportFormatChoices;
+    fillForm(response.settings);
+  } catch (error) {
+    console.error("[ilovegcr] Error loading settings:", error);
+    showStatus("Could not load settings", 'error');
+  }
+});
+
+/**
+ * Show the given settings in the form
+ */
+function fillForm(settings) {
+  document.getElementById('downloadRoot').value = settings.downloadRoot;
+  document.getElementById('folderTemplate').value = settings.folderTemplate;
+  document.getElementById('collisionPolicy').value = settings.collisionPolicy;
+  document.getElementById('concurrency').value = settings.concurrency;
+  document.getElementById('fileTypeMode').value = settings.fileTypeFilter.mode;
+  document.getElementById('fileTypeExtensions').value = settings.fileTypeFilter.extensions.join(', ');
+  document.getElementById('sizeLimitMode').value = settings.sizeLimit.mode;
+  document.getElementById('sizeLimitMegabytes').value = settings.sizeLimit.megabytes;
+  renderExportFormats(settings.exportFormats);
+  updateFolderPreview();
+  updateFileTypeInput();
+  updateSizeLimitInput();
+}
+
+/**
+ * Read the form back into a settings object
+ */
+function readForm() {
+  const exportFormats = {};
+  Object.keys(exportFormatChoices).forEach(type => {
+    exportFormats[type] = [...document.querySelectorAll(`#exportFormats input[data-type="${type}"]:checked`)]
+      .map(cb => cb.value);
+  });
+  
+  return {
+    downloadRoot: document.getElementById('downloadRoot').value.trim(),
+    folderTemplate: document.getElementById('folderTemplate').value.trim(),
+    collisionPolicy: document.getElementById('collisionPolicy').value,
+    concurrency: Number(document.getElementById('concurrency').value),
+    exportFormats,
+    fileTypeFilter: {
+      mode: document.getElementById('fileTypeMode').value,
+      extensions: document.getElementById('fileTypeExtensions').value
+        .split(',')
+        .map(ext => ext.trim())
+        .filter(Boolean)
+    },
+    sizeLimit: {
+      mode: document.getElementById('sizeLimitMode').value,
+      megabytes: Number(document.getElementById('sizeLimitMegabytes').value)
+    }
+  };
+}
+
+/**
+ * Render one row of format checkboxes per Google-native type
+ */
+function renderExportFormats(exportFormats) {
+  const container = document.getElementById('exportFormats');
+  container.innerHTML = '';
+  
+  Object.entries(exportFormatChoices).forEach(([type, choices]) => {
+    const row = document.createElement('div');
+    row.className = 'export-format-row';
+    row.innerHTML = `<span class="export-format-type">${NATIVE_TYPE_LABELS[type]}</span>` + choices.map(format => `
+      <label><input type="checkbox" data-type="${type}" value="${format}" ${exportFormats[type].includes(format) ? 'checked' : ''}>${format.toUpperCase()}</label>
+    `).join('');
+    container.appendChild(row);
+  });
+}
+
+/**
+ * Show an example of where an assignment download would be saved
+ */
+function updateFolderPreview() {
+  const root = document.getElementById('downloadRoot').value.trim() || 'Downloads';
+  const folder = document.getElementById('folderTemplate').value.trim()
+    .replace(/\{name\}/g, 'Essay 1')
+    .replace(/\{timestamp\}/g, '2024-09-30_14-05-00')
+    .replace(/\{date\}/g, '2024-09-30')
+    .replace(/\{time\}/g, '14-05-00');
+  document.getElementById('folderPreview').textContent = `Example: Downloads/${root}/${folder}/`;
+}
+
+/**
+ * The extension list only matters when filtering
+ */
+function updateFileTypeInput() {
+  document.getElementById('fileTypeExtensions').disabled = document.getElementById('fileTypeMode').value === 'all';
+}
+
+/**
+ * The size only matters when there is a limit
+ */
+function updateSizeLimitInput() {
+  document.getElementById('sizeLimitMegabytes').disabled = document.getElementById('sizeLimitMode').value === 'off';
+}
+
+/**
+ * Save the form; the background worker validates it and reports every problem at once
+ */
+async function saveSettings() {
+  try {
+    const response = await browserAPI.runtime.sendMessage({ action: "UPDATE_SETTINGS", settings: readForm() });
+    if (!response.success) {
+      showStatus(response.error.split('; ').join('\n'), 'error');
+      return;
+    }
+    fillForm(response.settings);
+    showStatus("✓ Settings saved", 'success');
+  } catch (error) {
+    console.error("[ilovegcr] Error saving settings:", error);
+    showStatus("Error saving settings", 'error');
+  }
+}
+
+/**
+ * Download the current settings as a JSON file
+ */
+async function exportSettings() {
+  try {
+    const response = await browserAPI.runtime.sendMessage({ action: "EXPORT_SETTINGS" });
+    if (!response.success) throw new Error(response.error);
+    
+    const blob = new Blob([JSON.stringify(response.data, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'ilovegcr-settings.json';
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  } catch (error) {
+    console.error("[ilovegcr] Error exporting settings:", error);
+    showStatus("Error exporting settings", 'error');
+  }
+}
+
+/**
+ * Replace the settings with a chosen JSON file
+ */
+async function importSettings(event) {
+  const file = event.target.files[0];
+  event.target.value = '';
+  if (!file) return;
+  
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch (error) {
+    showStatus(`${file.name} is not valid JSON`, 'error');
+    return;
+  }
+  
+  try {
+    const response = await browserAPI.runtime.sendMessage({ action: "IMPORT_SETTINGS", data });
+    if (!response.success) {
+      showStatus(`Not imported:\n${response.error.split('; ').join('\n')}`, 'error');
+      return;
+    }
+    fillForm(response.settings);
+    showStatus(`✓ Imported settings from ${file.name}`, 'success');
+  } catch (error) {
+    console.error("[ilovegcr] Error importing settings:", error);
+    showStatus("Error importing settings", 'error');
+  }
+}
+
+/**
+ * Show a message next to the Save button
+ */
+function showStatus(text, type) {
+  const status = document.getElementById('status');
+  status.textContent = text;
+  status.className = `status ${type}`;
+}
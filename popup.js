@@ -3,43 +3,103 @@
  * Handles the popup UI and communication with content script
  */
 
-// Valid file extensions to download
-const VALID_EXTENSIONS = [
-  '.pptx', '.ppt', '.docx', '.doc', '.xlsx', '.xls',
-  '.pdf', '.txt', '.zip', '.rar', '.7z',
-  '.jpg', '.jpeg', '.png', '.gif', '.bmp',
-  '.mp4', '.mp3', '.wav', '.avi', '.mov'
-];
+// Labels of the filter chips, one per row category (see getRowCategory)
+const CATEGORY_LABELS = {
+  pdf: 'PDF',
+  docx: 'Documents',
+  pptx: 'Slides',
+  xlsx: 'Sheets',
+  img: 'Images',
+  video: 'Video',
+  audio: 'Audio',
+  archive: 'Archives',
+  other: 'Other',
+  folder: 'Folders',
+  link: 'Links'
+};
+
+// Parts of an assignment page, in list order; also the subfolders they are saved in
+const SECTION_LABELS = {
+  materials: 'Materials',
+  work: 'My work',
+  comments: 'Comments'
+};
+
+const DEFAULT_LIST_VIEW = { types: [], sort: 'page', group: 'none', hiddenSections: [] };
+
+// Size lookups in flight at once; each is a HEAD or one-byte request
+const SIZE_PROBE_CONCURRENCY = 4;
 
 let detectedFiles = [];
+let skippedItems = [];
+let assignmentDetails = [];
+let activeAccount = null;
 let assignmentName = "";
+let courseName = null;
+// Stream or Classwork URL when the popup opened on a course page
+let courseUrl = null;
+// Download history from the background worker, newest first
+let historyEntries = [];
+// Chips, sort order and grouping of the file list, remembered per course
+let listView = { ...DEFAULT_LIST_VIEW };
+// Checkbox a shift-click extends the selection from
+let lastClickedRow = null;
+let latestJob = null;
+// Page the current list came from; null while showing a whole-course scan
+let scannedUrl = null;
+let sizeLimit = { mode: 'off', megabytes: 500 };
+// Files whose size is being looked up
+const pendingSizes = new Set();
+// Resolves once the settings the list depends on are loaded
+let settingsLoaded = null;
 
 // Browser API compatibility
 const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
 
 // Initialize popup
 document.addEventListener('DOMContentLoaded', async () => {
+  connectProgressPort();
+  setUpHistory();
+  // Notifications open the popup page in a tab straight on the history
+  if (window.location.hash === '#history') showView('history');
+  
   const [tab] = await browserAPI.tabs.query({ active: true, currentWindow: true });
   
   // Check if on Classroom
   if (!tab.url || !tab.url.includes('classroom.google.com')) {
     showNotClassroom();
-    loadDownloadPath();
     return;
   }
   
-  // Request files from content script
+  // Request files from content script; it keeps the list current, so this returns at once
   scanForFiles(tab.id);
   
+  // Pick up attachments that finish rendering, or a navigation, while the popup is open
+  browserAPI.runtime.onMessage.addListener((message, sender) => {
+    if (message.action !== "PAGE_SCAN_UPDATED" || sender.tab?.id !== tab.id || !scannedUrl) return;
+    if (message.url !== scannedUrl || detectedFiles.length === 0) {
+      scanForFiles(tab.id);
+    }
+  });
+  
   // Set up button handlers
   document.getElementById('selectAll').addEventListener('click', selectAll);
   document.getElementById('deselectAll').addEventListener('click', deselectAll);
+  document.getElementById('fileSearch').addEventListener('input', applyFilters);
+  document.getElementById('sortBy').addEventListener('change', changeListView);
+  document.getElementById('groupBy').addEventListener('change', changeListView);
   document.getElementById('refreshBtn').addEventListener('click', () => refreshPage(tab.id));
   document.getElementById('downloadBtn').addEventListener('click', downloadSelected);
-  document.getElementById('savePathBtn').addEventListener('click', saveDownloadPath);
+  document.getElementById('courseBtn').addEventListener('click', () => scanCourse(tab.id));
+  document.getElementById('watchSchedule').addEventListener('change', saveCourseWatch);
+  document.getElementById('syncNowBtn').addEventListener('click', syncCourseNow);
+  document.getElementById('settingsBtn').addEventListener('click', () => browserAPI.runtime.openOptionsPage());
+  document.getElementById('diagnoseBtn').addEventListener('click', () => diagnosePage(tab.id));
+  document.getElementById('copyDiagnoseBtn').addEventListener('click', copyDiagnosis);
+  document.getElementById('diagnose').style.display = 'block';
   
-  // Load current download path
-  loadDownloadPath();
+  // Load the settings the file list depends on
+  settingsLoaded = loadSettings();
 });
 
 // Store tabId globally for refresh
@@ -56,17 +116,23 @@ async function scanForFiles(tabId) {
     const response = await browserAPI.tabs.sendMessage(tabId, { action: "SCAN_FILES" });
     
     if (response && response.success) {
-      detectedFiles = response.files || [];
+      scannedUrl = response.url;
+      activeAccount = response.account || null;
       assignmentName = response.assignmentName || "Classroom_Download";
-      
-      // Filter to only valid file extensions
-      detectedFiles = detectedFiles.filter(file => {
-        const filename = file.filename.toLowerCase();
-        return VALID_EXTENSIONS.some(ext => filename.includes(ext));
-      });
+      courseName = response.courseName || null;
+      detectedFiles = [...(response.files || []), ...(response.links || [])]
+        .map(file => ({ ...file, assignmentId: response.assignmentId, topic: response.details?.topic || null }));
+      skippedItems = response.skipped || [];
+      assignmentDetails = response.details ? [{ ...response.details, folder: null }] : [];
+      document.getElementById('courseBanner').style.display = response.isCoursePage ? 'flex' : 'none';
+      if (response.isCoursePage) {
+        courseUrl = response.url;
+        loadCourseWatch();
+      }
       
       if (detectedFiles.length > 0) {
-        showFileList();
+        await loadListView();
+        await showFileList();
       } else {
         showEmpty();
       }
@@ -100,15 +166,144 @@ async function scanForFiles(tabId) {
   }
 }
 
+/**
+ * Request content script to scan every item of the course
+ */
+async function scanCourse(tabId) {
+  document.getElementById('courseBanner').style.display = 'none';
+  scannedUrl = null;
+  showLoading('Scanning every assignment in the course...');
+  
+  try {
+    const response = await browserAPI.tabs.sendMessage(tabId, { action: "SCAN_COURSE" });
+    
+    if (!response || !response.success) {
+      showEmpty();
+      updateStatus(`Course scan failed: ${escapeHtml(response?.error || 'unknown error')}`, 'error');
+      return;
+    }
+    
+    assignmentName = response.courseName || "Classroom_Course";
+    courseName = response.courseName || null;
+    activeAccount = response.account || null;
+    detectedFiles = [];
+    skippedItems = [];
+    assignmentDetails = [];
+    response.items.forEach(item => {
+      if (item.details) assignmentDetails.push({ ...item.details, folder: item.title });
+      item.files.forEach(file => {
+        detectedFiles.push({ ...file, folder: item.title, assignmentId: item.id, topic: item.details?.topic || item.topic || null });
+      });
+      (item.skipped || []).forEach(entry => skippedItems.push({ ...entry, folder: item.title }));
+      if (item.error) {
+        skippedItems.push({ filename: item.title, url: item.url, reason: `Could not open item: ${item.error}` });
+      }
+    });
+    
+    console.log(`[ilovegcr] Course scan found ${detectedFiles.length} files in ${response.items.length} items`);
+    
+    if (detectedFiles.length > 0) {
+      await loadListView();
+      await showFileList();
+    } else {
+      showEmpty();
+    }
+  } catch (error) {
+    console.error("[ilovegcr] Error scanning course:", error);
+    showEmpty();
+    updateStatus(`Error: ${escapeHtml(error.message)}`, 'error');
+  }
+}
+
+/**
+ * Show whether the course on this page is checked on a schedule, and what the last checks found
+ */
+async function loadCourseWatch() {
+  try {
+    const response = await browserAPI.runtime.sendMessage({ action: "GET_COURSE_WATCH", url: courseUrl });
+    if (response.success) renderCourseWatch(response.watch);
+  } catch (error) {
+    console.error("[ilovegcr] Error loading course watch:", error);
+  }
+}
+
+/**
+ * Render the schedule picker and the latest sync summary
+ */
+function renderCourseWatch(watch) {
+  document.getElementById('watchBanner').style.display = 'flex';
+  document.getElementById('watchSchedule').value = watch?.schedule || 'off';
+  document.getElementById('syncNowBtn').style.display = watch ? 'inline' : 'none';
+  
+  const summaryDiv = document.getElementById('watchSummary');
+  const [last] = watch?.summaries || [];
+  if (!last) {
+    summaryDiv.textContent = watch ? 'Not checked yet' : '';
+    summaryDiv.title = '';
+    return;
+  }
+  
+  const when = new Date(last.checkedAt).toLocaleString();
+  const found = last.error
+    ? `check failed: ${last.error}`
+    : `${last.arrived.length} new file(s)${last.failed ? `, ${last.failed} failed` : ''}`;
+  summaryDiv.textContent = `Last checked ${when}: ${found}`;
+  // Everything that arrived in the recent checks, newest first
+  summaryDiv.title = watch.summaries
+    .flatMap(summary => summary.arrived.map(file => `${new Date(summary.checkedAt).toLocaleDateString()}  ${file.path}`))
+    .join('\n');
+}
+
+/**
+ * Start, change or stop the schedule for the course on this page
+ */
+async function saveCourseWatch() {
+  const select = document.getElementById('watchSchedule');
+  try {
+    const response = await browserAPI.runtime.sendMessage({
+      action: "SET_COURSE_WATCH",
+      url: courseUrl,
+      courseName: courseName || assignmentName,
+      schedule: select.value
+    });
+    if (!response.success) throw new Error(response.error);
+    renderCourseWatch(response.watch);
+  } catch (error) {
+    console.error("[ilovegcr] Error saving course watch:", error);
+    updateStatus(`Could not change the schedule: ${escapeHtml(error.message)}`, 'error');
+  }
+}
+
+/**
+ * Check the watched course right away instead of waiting for the schedule
+ */
+async function syncCourseNow() {
+  const button = document.getElementById('syncNowBtn');
+  button.disabled = true;
+  button.textContent = 'Checking...';
+  try {
+    const response = await browserAPI.runtime.sendMessage({ action: "SYNC_COURSE_NOW", url: courseUrl });
+    if (!response.success) throw new Error(response.error);
+    await loadCourseWatch();
+  } catch (error) {
+    console.error("[ilovegcr] Course check failed:", error);
+    document.getElementById('watchSummary').textContent = `Check failed: ${error.message}`;
+  }
+  button.disabled = false;
+  button.textContent = 'Check now';
+}
+
 /**
  * Show loading state
  */
-function showLoading() {
+function showLoading(text = 'Scanning page for files...') {
   document.getElementById('loading').style.display = 'block';
+  document.getElementById('skippedInfo').style.display = 'none';
+  document.getElementById('loadingText').textContent = text;
   document.getElementById('fileListContainer').style.display = 'none';
   document.getElementById('emptyState').style.display = 'none';
   document.getElementById('notClassroom').style.display = 'none';
-  updateStatus('Scanning page for files...', '');
+  updateStatus(text, '');
 }
 
 /**
@@ -131,53 +326,515 @@ function showEmpty() {
   document.getElementById('emptyState').style.display = 'block';
   document.getElementById('notClassroom').style.display = 'none';
   updateStatus('No downloadable files found', '');
+  renderSkipped();
 }
 
 /**
  * Show file list
  */
-function showFileList() {
+async function showFileList() {
+  await describeFiles(detectedFiles);
+  
   document.getElementById('loading').style.display = 'none';
   document.getElementById('fileListContainer').style.display = 'block';
   document.getElementById('emptyState').style.display = 'none';
   document.getElementById('notClassroom').style.display = 'none';
   
-  updateStatus(`<div class="assignment-name"><svg viewBox="0 0 256 256"><path d="M251.76,88.94l-120-64a8,8,0,0,0-7.52,0l-120,64a8,8,0,0,0,0,14.12L32,117.87v48.42a15.91,15.91,0,0,0,4.06,10.65C49.16,191.53,78.51,216,128,216a130.36,130.36,0,0,0,48-8.76V240a8,8,0,0,0,16,0V199.51a115.63,115.63,0,0,0,27.94-22.57A15.91,15.91,0,0,0,224,166.29V117.87l27.76-14.81a8,8,0,0,0,0-14.12ZM128,200c-43.27,0-68.72-21.14-80-33.71V126.4l76.24,40.66a8,8,0,0,0,7.52,0L176,143.47v46.34C163.4,195.69,147.52,200,128,200Zm80-33.75a97.83,97.83,0,0,1-16,14.25V134.93l16-8.53ZM188,118.94l-.22-.13-56-29.87a8,8,0,0,0-7.52,14.12L171,128l-43,22.93L25,96,128,41.07,231,96Z"/></svg>${escapeHtml(assignmentName)}</div><div class="file-count">${detectedFiles.length} file(s) found</div>`, 'success');
+  updateStatus(`<div class="assignment-name"><svg viewBox="0 0 256 256"><path d="M251.76,88.94l-120-64a8,8,0,0,0-7.52,0l-120,64a8,8,0,0,0,0,14.12L32,117.87v48.42a15.91,15.91,0,0,0,4.06,10.65C49.16,191.53,78.51,216,128,216a130.36,130.36,0,0,0,48-8.76V240a8,8,0,0,0,16,0V199.51a115.63,115.63,0,0,0,27.94-22.57A15.91,15.91,0,0,0,224,166.29V117.87l27.76-14.81a8,8,0,0,0,0-14.12ZM128,200c-43.27,0-68.72-21.14-80-33.71V126.4l76.24,40.66a8,8,0,0,0,7.52,0L176,143.47v46.34C163.4,195.69,147.52,200,128,200Zm80-33.75a97.83,97.83,0,0,1-16,14.25V134.93l16-8.53ZM188,118.94l-.22-.13-56-29.87a8,8,0,0,0-7.52,14.12L171,128l-43,22.93L25,96,128,41.07,231,96Z"/></svg>${escapeHtml(assignmentName)}</div><div class="file-count">${detectedFiles.length} file(s) found${describeAccount(activeAccount)}</div>`, 'success');
   
-  renderFileList();
+  // A new scan starts with everything selected
+  renderFileList(new Set());
+  probeFileSizes();
+}
+
+/**
+ * Describe the Google account downloads will use, e.g. " · as jane@school.edu, account 2"
+ */
+function describeAccount(account) {
+  if (!account) return '';
+  const parts = [account.email, account.index > 0 ? `account ${account.index + 1}` : null].filter(Boolean);
+  return parts.length > 0 ? ` · as ${escapeHtml(parts.join(', '))}` : '';
 }
 
 /**
- * Render the file list
+ * Render the file list in the chosen order and grouping, then apply the filters
  */
-function renderFileList() {
+function renderFileList(unchecked = getUncheckedKeys()) {
   const container = document.getElementById('fileList');
   container.innerHTML = '';
+  lastClickedRow = null;
   
-  detectedFiles.forEach((file, index) => {
-    const ext = getExtension(file.filename);
-    const iconClass = getIconClass(ext);
+  let previous = null;
+  getOrderedRows().forEach(({ file, index, group, section }) => {
+    const newSection = section !== previous?.section;
+    if (section !== undefined && newSection) {
+      const header = document.createElement('div');
+      header.className = 'file-group section-heading';
+      header.innerHTML = `
+        <label><input type="checkbox" class="section-toggle" data-section="${section}" ${listView.hiddenSections.includes(section) ? '' : 'checked'}> ${SECTION_LABELS[section]}</label>
+      `;
+      container.appendChild(header);
+    }
+    
+    const newGroup = group !== previous?.group || newSection;
+    if (group !== undefined && newGroup) {
+      const header = document.createElement('div');
+      header.className = 'file-group group-heading';
+      header.textContent = group;
+      container.appendChild(header);
+    }
+    
+    // In page order links come last in each group, under one heading
+    if (listView.sort === 'page' && file.kind === 'link' && (previous?.file.kind !== 'link' || newGroup)) {
+      const header = document.createElement('div');
+      header.className = 'file-group';
+      header.textContent = 'Links (saved as shortcuts)';
+      container.appendChild(header);
+    }
+    
+    // Subfolder headings inside an expanded Drive folder
+    const treePath = file.treePath?.join(' / ') || '';
+    if (treePath && treePath !== previous?.file.treePath?.join(' / ')) {
+      const header = document.createElement('div');
+      header.className = 'file-group tree-folder';
+      header.style.paddingLeft = `${file.treePath.length * 16}px`;
+      header.textContent = treePath;
+      container.appendChild(header);
+    }
+    previous = { file, group, section };
+    
+    const displayName = getDisplayFilename(file);
+    const formats = getExportFormats(file);
+    const ext = getRowExtension(file);
+    const iconClass = getRowCategory(file);
+    let typeName = getFileTypeName(ext);
+    if (file.kind === 'link') {
+      typeName = getLinkTypeName(file.linkType);
+    } else if (file.kind === 'folder') {
+      typeName = file.expanded ? `Drive folder · ${file.fileCount} file(s)` : 'Drive folder · all files';
+    } else if (formats && formats.length > 1) {
+      typeName = formats.map(format => format.toUpperCase()).join(' + ');
+    } else if (ext === 'file') {
+      typeName = describeMimeType(file.mimeType);
+    }
     
     const item = document.createElement('div');
     item.className = 'file-item';
+    item.dataset.url = file.url;
+    if (file.treeRoot) item.style.paddingLeft = `${(file.treePath.length + 1) * 16}px`;
+    const expandButton = file.kind === 'folder' && !file.expanded
+      ? `<button class="folder-expand" data-index="${index}">Browse</button>` : '';
     item.innerHTML = `
-      <input type="checkbox" id="file-${index}" checked data-index="${index}">
-      <div class="file-icon ${iconClass}">${ext.toUpperCase()}</div>
+      <input type="checkbox" id="file-${index}" ${unchecked.has(getRowKey(file)) ? '' : 'checked'} data-index="${index}">
+      <div class="file-icon ${iconClass}">${ext === 'file' ? '?' : ext.toUpperCase()}</div>
       <div class="file-info">
-        <div class="file-name" title="${escapeHtml(file.filename)}">${escapeHtml(file.filename)}</div>
-        <div class="file-type">${getFileTypeName(ext)}</div>
+        <div class="file-name" title="${escapeHtml(displayName)}">${escapeHtml(displayName)}</div>
+        <div class="file-note"></div>
+        <div class="file-type">${typeName}${file.folder && !file.treeRoot ? ` · ${escapeHtml(file.folder)}` : ''}<span class="file-size">${describeFileSize(file)}</span></div>
+        <div class="file-state"></div>
+        <div class="file-progress"><div class="file-progress-bar"></div></div>
       </div>
+      ${expandButton}
     `;
     
     container.appendChild(item);
   });
   
-  updateDownloadButton();
+  renderFilterChips();
+  applyFilters();
+  renderSkipped();
+  if (latestJob) renderJobProgress(latestJob);
   
   // Add change listeners
-  container.querySelectorAll('input[type="checkbox"]').forEach(cb => {
-    cb.addEventListener('change', updateDownloadButton);
+  container.querySelectorAll('.file-item input[type="checkbox"]').forEach(cb => {
+    cb.addEventListener('click', (event) => selectRange(cb, event.shiftKey));
+    cb.addEventListener('change', () => {
+      const file = detectedFiles[cb.dataset.index];
+      if (file.kind === 'folder' && file.expanded) toggleFolderFiles(file, cb.checked);
+      updateDownloadButton();
+    });
   });
+  container.querySelectorAll('.folder-expand').forEach(button => {
+    button.addEventListener('click', () => expandFolder(parseInt(button.dataset.index)));
+  });
+  container.querySelectorAll('.section-toggle').forEach(toggle => {
+    toggle.addEventListener('change', () => toggleSection(toggle.dataset.section, toggle.checked));
+  });
+}
+
+/**
+ * Order the list for display. Files listed inside an expanded Drive folder stay
+ * under their folder; the folder sorts as one block with them.
+ * @returns {Array} - [{file, index, group}]; group is undefined when not grouping
+ */
+function getOrderedRows() {
+  const blocks = [];
+  detectedFiles.forEach((file, index) => {
+    if (file.treeRoot && blocks.length > 0) {
+      blocks[blocks.length - 1].rows.push({ file, index });
+    } else {
+      blocks.push({ head: file, rows: [{ file, index }] });
+    }
+  });
+  
+  const compare = {
+    name: (a, b) => getDisplayFilename(a).localeCompare(getDisplayFilename(b), undefined, { numeric: true, sensitivity: 'base' }),
+    type: (a, b) => getRowCategory(a).localeCompare(getRowCategory(b))
+      || getRowExtension(a).localeCompare(getRowExtension(b))
+      || compare.name(a, b),
+    // Largest first; sizes still unknown go last
+    size: (a, b) => (b.size ?? -1) - (a.size ?? -1) || compare.name(a, b)
+  }[listView.sort];
+  
+  // Sections come first when the page has more than one; groups keep the
+  // order they first appear in on the page
+  const sections = getListedSections();
+  const groups = new Map();
+  blocks.forEach(block => {
+    const section = sections.length > 1 ? getRowSection(block.head) : undefined;
+    const group = getRowGroup(block.head);
+    const key = `${section}|${group}`;
+    if (!groups.has(key)) groups.set(key, { section, group, blocks: [] });
+    groups.get(key).blocks.push(block);
+  });
+  
+  const sectionOrder = Object.keys(SECTION_LABELS);
+  return [...groups.values()]
+    .sort((a, b) => sectionOrder.indexOf(a.section) - sectionOrder.indexOf(b.section))
+    .flatMap(({ section, group, blocks: groupBlocks }) => {
+      // Page order keeps links after the files, as on an assignment page; the sort is stable
+      groupBlocks.sort(compare
+        ? (a, b) => compare(a.head, b.head)
+        : (a, b) => (a.head.kind === 'link') - (b.head.kind === 'link'));
+      return groupBlocks.flatMap(block => block.rows.map(row => ({ ...row, group, section })));
+    });
+}
+
+/**
+ * Section of the page a row comes from; items without one count as materials
+ */
+function getRowSection(file) {
+  return SECTION_LABELS[file.section] ? file.section : 'materials';
+}
+
+/**
+ * Sections with at least one row, in list order
+ */
+function getListedSections() {
+  const present = new Set(detectedFiles.map(getRowSection));
+  return Object.keys(SECTION_LABELS).filter(section => present.has(section));
+}
+
+/**
+ * Turn a section of the list on or off; rows of a section that is off are hidden and not downloaded
+ */
+function toggleSection(section, on) {
+  listView.hiddenSections = on
+    ? listView.hiddenSections.filter(hidden => hidden !== section)
+    : [...listView.hiddenSections, section];
+  applyFilters();
+  saveListView();
+}
+
+/**
+ * Folder a row is saved in below the session folder, mirroring getAttachmentFolder
+ * in the background worker. Files in a browsed Drive folder already have it in their path.
+ */
+function getSaveFolder(file) {
+  if (file.treeRoot) return file.folder || '';
+  return [file.folder, SECTION_LABELS[file.section]].filter(Boolean).join('/');
+}
+
+/**
+ * Heading a row is grouped under, or undefined when not grouping
+ */
+function getRowGroup(file) {
+  if (listView.group === 'topic') return file.topic || 'No topic';
+  if (listView.group === 'assignment') return file.folder?.split('/')[0] || assignmentName;
+  return undefined;
+}
+
+/**
+ * Extension shown on a row's icon: the first export format for Google files
+ */
+function getRowExtension(file) {
+  if (file.kind === 'link') return 'url';
+  if (file.kind === 'folder') return 'dir';
+  const formats = getExportFormats(file);
+  return formats ? formats[0] : getExtension(getDisplayFilename(file));
+}
+
+/**
+ * Category of a row for its icon and the filter chips
+ */
+function getRowCategory(file) {
+  if (file.kind === 'link') return 'link';
+  if (file.kind === 'folder') return 'folder';
+  return getIconClass(getRowExtension(file));
+}
+
+/**
+ * Show one chip per category in the list; a chip filters to that category
+ */
+function renderFilterChips() {
+  const container = document.getElementById('filterChips');
+  const present = new Set(detectedFiles.map(getRowCategory));
+  const categories = Object.keys(CATEGORY_LABELS).filter(category => present.has(category));
+  
+  // A single category has nothing to filter
+  container.style.display = categories.length > 1 ? 'flex' : 'none';
+  container.innerHTML = categories.map(category => `
+    <button class="chip ${listView.types.includes(category) ? 'active' : ''}" data-category="${category}">${CATEGORY_LABELS[category]}</button>
+  `).join('');
+  
+  container.querySelectorAll('.chip').forEach(chip => {
+    chip.addEventListener('click', () => {
+      const category = chip.dataset.category;
+      listView.types = listView.types.includes(category)
+        ? listView.types.filter(type => type !== category)
+        : [...listView.types, category];
+      chip.classList.toggle('active');
+      applyFilters();
+      saveListView();
+    });
+  });
+}
+
+/**
+ * Hide rows that don't match the search box and the active chips.
+ * Hidden rows keep their checkbox state but are not downloaded.
+ */
+function applyFilters() {
+  const terms = document.getElementById('fileSearch').value.toLowerCase().split(/\s+/).filter(Boolean);
+  const sectionsShown = getListedSections().length > 1;
+  const matches = (file) => {
+    if (sectionsShown && listView.hiddenSections.includes(getRowSection(file))) return false;
+    if (listView.types.length > 0 && !listView.types.includes(getRowCategory(file))) return false;
+    const text = [getDisplayFilename(file), file.folder, file.topic].filter(Boolean).join(' ').toLowerCase();
+    return terms.every(term => text.includes(term));
+  };
+  
+  const rows = [...document.querySelectorAll('#fileList .file-item')];
+  rows.forEach(row => {
+    row.hidden = !matches(detectedFiles[row.querySelector('input').dataset.index]);
+  });
+  // An expanded folder stays visible while any of its files is
+  rows.forEach(row => {
+    const file = detectedFiles[row.querySelector('input').dataset.index];
+    if (file.kind === 'folder' && file.expanded && row.hidden) {
+      row.hidden = !rows.some(other => !other.hidden && detectedFiles[other.querySelector('input').dataset.index].treeRoot === file.url);
+    }
+  });
+  
+  // Headings follow the rows under them, up to the next heading of the same level.
+  // Section headings stay, so a section that is off can be turned back on.
+  const level = (header) => header.classList.contains('section-heading') ? 0 : header.classList.contains('group-heading') ? 1 : 2;
+  [...document.querySelectorAll('#fileList .file-group:not(.section-heading)')].forEach(header => {
+    let visible = false;
+    for (let next = header.nextElementSibling; next; next = next.nextElementSibling) {
+      if (next.classList.contains('file-group') && level(next) <= level(header)) break;
+      if (next.classList.contains('file-item') && !next.hidden) {
+        visible = true;
+        break;
+      }
+    }
+    header.hidden = !visible;
+  });
+  
+  updateDownloadButton();
+}
+
+/**
+ * Shift-click sets every visible row between the last clicked row and this one
+ * @param {HTMLInputElement} checkbox - Checkbox that was clicked (already toggled)
+ * @param {boolean} extend - Whether shift was held
+ */
+function selectRange(checkbox, extend) {
+  const boxes = getVisibleCheckboxes();
+  const from = boxes.indexOf(lastClickedRow);
+  const to = boxes.indexOf(checkbox);
+  
+  if (extend && from !== -1 && to !== -1) {
+    boxes.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(cb => {
+      if (cb.checked === checkbox.checked) return;
+      cb.checked = checkbox.checked;
+      cb.dispatchEvent(new Event('change'));
+    });
+  }
+  lastClickedRow = checkbox;
+}
+
+/**
+ * Checkboxes of the rows currently shown, in display order
+ */
+function getVisibleCheckboxes() {
+  return [...document.querySelectorAll('#fileList .file-item:not([hidden]) input[type="checkbox"]')];
+}
+
+/**
+ * Re-render the list after the sort order or grouping changes
+ */
+function changeListView() {
+  listView.sort = document.getElementById('sortBy').value;
+  listView.group = document.getElementById('groupBy').value;
+  renderFileList();
+  saveListView();
+}
+
+/**
+ * Key the list view is remembered under: the course ID, shared by all its pages
+ */
+function getListViewKey() {
+  const url = courseUrl || scannedUrl || '';
+  return url.match(/\/(?:c|w)\/([^\/?#]+)/)?.[1] || null;
+}
+
+/**
+ * Restore the chips, sort order and grouping last used in this course
+ */
+async function loadListView() {
+  const key = getListViewKey();
+  const { listViews = {} } = await browserAPI.storage.local.get({ listViews: {} });
+  listView = { ...DEFAULT_LIST_VIEW, ...(key ? listViews[key] : null) };
+  document.getElementById('sortBy').value = listView.sort;
+  document.getElementById('groupBy').value = listView.group;
+}
+
+/**
+ * Remember the chips, sort order and grouping for this course
+ */
+async function saveListView() {
+  const key = getListViewKey();
+  if (!key) return;
+  const { listViews = {} } = await browserAPI.storage.local.get({ listViews: {} });
+  listViews[key] = listView;
+  await browserAPI.storage.local.set({ listViews });
+}
+
+/**
+ * Remember which rows are unchecked, so a redraw (after a settings change or a
+ * folder expanding) keeps the user's selection. Keyed by file, not index,
+ * since expanding a folder inserts rows.
+ */
+function getUncheckedKeys() {
+  return new Set([...document.querySelectorAll('#fileList .file-item input[type="checkbox"]:not(:checked)')]
+    .map(cb => getRowKey(detectedFiles[cb.dataset.index]))
+    .filter(Boolean));
+}
+
+/**
+ * Stable identity of a row across re-renders
+ */
+function getRowKey(file) {
+  return file ? `${file.folder || ''}|${file.url}|${file.treeRoot || ''}` : null;
+}
+
+/**
+ * List a Drive folder's files recursively and show them as a tree under the folder row
+ * @param {number} index - Index of the folder in detectedFiles
+ */
+async function expandFolder(index) {
+  const folder = detectedFiles[index];
+  const button = document.querySelector(`.folder-expand[data-index="${index}"]`);
+  button.disabled = true;
+  button.textContent = 'Listing...';
+  
+  try {
+    const response = await browserAPI.runtime.sendMessage({
+      action: "LIST_DRIVE_FOLDER",
+      url: folder.url,
+      account: folder.account
+    });
+    if (!response.success) throw new Error(response.error);
+    
+    const name = response.name || folder.filename;
+    const children = response.files.map(file => ({
+      url: file.url,
+      filename: file.filename,
+      account: folder.account,
+      assignmentId: folder.assignmentId,
+      section: folder.section,
+      folder: [getSaveFolder(folder), name, ...file.path].filter(Boolean).join('/'),
+      treeRoot: folder.url,
+      treePath: file.path
+    }));
+    
+    const unchecked = getUncheckedKeys();
+    if (unchecked.has(getRowKey(folder))) {
+      children.forEach(child => unchecked.add(getRowKey(child)));
+    }
+    
+    await describeFiles(children);
+    folder.expanded = true;
+    folder.fileCount = children.length;
+    detectedFiles.splice(index + 1, 0, ...children);
+    renderFileList(unchecked);
+    probeFileSizes();
+    if (response.truncated) {
+      updateStatus(`${escapeHtml(name)} is very large; only the first ${children.length} files are listed`, 'error');
+    }
+  } catch (error) {
+    console.error("[ilovegcr] Error listing Drive folder:", error);
+    button.disabled = false;
+    button.textContent = 'Browse';
+    const note = button.closest('.file-item').querySelector('.file-note');
+    note.textContent = `Could not list folder: ${error.message}`;
+  }
+}
+
+/**
+ * Check or uncheck every file listed under an expanded folder
+ */
+function toggleFolderFiles(folder, checked) {
+  document.querySelectorAll('#fileList .file-item input[type="checkbox"]').forEach(cb => {
+    const file = detectedFiles[cb.dataset.index];
+    if (file.treeRoot === folder.url && file.folder?.startsWith(folder.folder || '')) {
+      cb.checked = checked;
+    }
+  });
+}
+
+/**
+ * Ask the background worker how files will be saved: the export formats of Google
+ * files and the name of each. The worker owns those rules, so the list asks once
+ * per file rather than repeating them.
+ * @param {Array} files - Listed files; those already described are left alone
+ */
+async function describeFiles(files) {
+  const fresh = files.filter(file => file.exportFormats === undefined && file.kind !== 'folder');
+  if (fresh.length === 0) return;
+  
+  try {
+    const response = await browserAPI.runtime.sendMessage({
+      action: 'PLAN_FILENAMES',
+      attachments: fresh.map(file => ({ ...toAttachment(file), unselected: true }))
+    });
+    if (!response.success) throw new Error(response.error);
+    
+    fresh.forEach((file, source) => {
+      const planned = response.plan.filter(entry => entry.source === source);
+      const formats = [...new Set(planned.map(entry => entry.format).filter(Boolean))];
+      file.exportFormats = formats.length > 0 ? formats : null;
+      // Links keep their title; the shortcut files are named after it
+      file.displayName = file.kind !== 'link' && planned[0]?.name || file.filename;
+    });
+  } catch (error) {
+    console.warn('[ilovegcr] Could not describe files:', error);
+  }
+}
+
+/**
+ * Get the export formats that apply to a file, or null for regular files
+ */
+function getExportFormats(file) {
+  return file.exportFormats || null;
+}
+
+/**
+ * Get the name a file will be saved under, with the chosen export extension
+ */
+function getDisplayFilename(file) {
+  return file.displayName || file.filename;
 }
 
 /**
@@ -192,11 +849,11 @@ function getExtension(filename) {
  * Get icon class based on extension
  */
 function getIconClass(ext) {
-  if (['ppt', 'pptx'].includes(ext)) return 'pptx';
-  if (['doc', 'docx'].includes(ext)) return 'docx';
-  if (['xls', 'xlsx'].includes(ext)) return 'xlsx';
+  if (['ppt', 'pptx', 'odp'].includes(ext)) return 'pptx';
+  if (['doc', 'docx', 'odt', 'rtf', 'epub'].includes(ext)) return 'docx';
+  if (['xls', 'xlsx', 'ods', 'csv', 'tsv'].includes(ext)) return 'xlsx';
   if (ext === 'pdf') return 'pdf';
-  if (['jpg', 'jpeg', 'png', 'gif', 'bmp'].includes(ext)) return 'img';
+  if (['jpg', 'jpeg', 'png', 'gif', 'bmp', 'svg'].includes(ext)) return 'img';
   if (['mp4', 'avi', 'mov'].includes(ext)) return 'video';
   if (['mp3', 'wav'].includes(ext)) return 'audio';
   if (['zip', 'rar', '7z'].includes(ext)) return 'archive';
@@ -214,6 +871,14 @@ function getFileTypeName(ext) {
     'doc': 'Word Document',
     'xlsx': 'Excel Spreadsheet',
     'xls': 'Excel Spreadsheet',
+    'odt': 'OpenDocument Text',
+    'rtf': 'Rich Text Document',
+    'epub': 'EPUB Book',
+    'md': 'Markdown',
+    'ods': 'OpenDocument Spreadsheet',
+    'csv': 'CSV (one file per sheet)',
+    'tsv': 'TSV (one file per sheet)',
+    'odp': 'OpenDocument Presentation',
     'pdf': 'PDF Document',
     'txt': 'Text File',
     'zip': 'ZIP Archive',
@@ -221,6 +886,7 @@ function getFileTypeName(ext) {
     'jpg': 'JPEG Image',
     'jpeg': 'JPEG Image',
     'png': 'PNG Image',
+    'svg': 'SVG Image',
     'gif': 'GIF Image',
     'mp4': 'MP4 Video',
     'mp3': 'MP3 Audio',
@@ -228,6 +894,46 @@ function getFileTypeName(ext) {
   return types[ext] || 'File';
 }
 
+/**
+ * Human-readable name for a link attachment
+ */
+function getLinkTypeName(linkType) {
+  return { youtube: 'YouTube video', form: 'Google Form', web: 'Web link' }[linkType] || 'Link';
+}
+
+/**
+ * Describe a file whose title has no extension by its MIME type
+ */
+function describeMimeType(mimeType) {
+  if (!mimeType) return 'Unknown type';
+  const wildcard = mimeType.match(/^(image|video|audio)\/\*$/);
+  if (wildcard) return wildcard[1].charAt(0).toUpperCase() + wildcard[1].slice(1);
+  return mimeType;
+}
+
+/**
+ * List the links that were found but can't be downloaded, with the reason
+ */
+function renderSkipped() {
+  const container = document.getElementById('skippedInfo');
+  if (skippedItems.length === 0) {
+    container.style.display = 'none';
+    return;
+  }
+  
+  container.style.display = 'block';
+  container.innerHTML = `
+    <details>
+      <summary>${skippedItems.length} item(s) skipped</summary>
+      <ul>
+        ${skippedItems.map(item => `
+          <li><span class="skipped-name">${escapeHtml(item.filename)}</span> — ${escapeHtml(item.reason)}</li>
+        `).join('')}
+      </ul>
+    </details>
+  `;
+}
+
 /**
  * Update status bar
  */
@@ -241,7 +947,7 @@ function updateStatus(html, type) {
  * Select all files
  */
 function selectAll() {
-  document.querySelectorAll('#fileList input[type="checkbox"]').forEach(cb => {
+  getVisibleCheckboxes().forEach(cb => {
     cb.checked = true;
   });
   updateDownloadButton();
@@ -251,7 +957,7 @@ function selectAll() {
  * Deselect all files
  */
 function deselectAll() {
-  document.querySelectorAll('#fileList input[type="checkbox"]').forEach(cb => {
+  getVisibleCheckboxes().forEach(cb => {
     cb.checked = false;
   });
   updateDownloadButton();
@@ -261,29 +967,200 @@ function deselectAll() {
  * Update download button text
  */
 function updateDownloadButton() {
-  const checked = document.querySelectorAll('#fileList input[type="checkbox"]:checked').length;
+  // An expanded folder's own box only toggles its files, which are counted themselves
+  const checked = getVisibleCheckboxes()
+    .filter(cb => cb.checked && !detectedFiles[cb.dataset.index]?.expanded).length;
   const btn = document.getElementById('downloadBtn');
+  delete btn.dataset.confirming;
+  delete btn.dataset.sizeBlocked;
   btn.textContent = `Download Selected (${checked})`;
   btn.disabled = checked === 0;
+  updateSelectionSize();
+  previewCollisions();
+}
+
+/**
+ * Look up the size of every listed file, filling in rows and the total as answers arrive
+ */
+async function probeFileSizes() {
+  await settingsLoaded;
+  const files = detectedFiles;
+  // Files an earlier probe is still working through (e.g. before a folder was expanded) stay with it
+  const queue = files.filter(file =>
+    file.kind !== 'link' && file.kind !== 'folder' && file.size === undefined && !pendingSizes.has(file));
+  queue.forEach(file => pendingSizes.add(file));
+  updateSelectionSize();
+  
+  const worker = async () => {
+    // A new scan replaces the list; its own probe takes over
+    while (queue.length > 0 && files === detectedFiles) {
+      const file = queue.shift();
+      file.size = await getFileSize(file);
+      pendingSizes.delete(file);
+      showFileSize(file);
+    }
+  };
+  await Promise.all(Array.from({ length: SIZE_PROBE_CONCURRENCY }, worker));
+  queue.forEach(file => pendingSizes.delete(file));
+}
+
+/**
+ * Ask the background worker for a file's size, adding up every chosen export format
+ * @returns {Promise<number|null>} - Size in bytes, or null when any part is unknown
+ */
+async function getFileSize(file) {
+  const { treeRoot, treePath, ...attachment } = file;
+  const formats = getExportFormats(file) || [null];
+  let total = 0;
+  
+  for (const format of formats) {
+    try {
+      const response = await browserAPI.runtime.sendMessage({
+        action: "GET_FILE_SIZE",
+        attachment: format ? { ...attachment, export: { format } } : attachment
+      });
+      if (!response.success || response.size === null) return null;
+      total += response.size;
+    } catch (error) {
+      console.warn("[ilovegcr] Could not get file size:", error);
+      return null;
+    }
+  }
+  return total;
+}
+
+/**
+ * Show a file's size on its row and update the selection total
+ */
+function showFileSize(file) {
+  const checkbox = document.getElementById(`file-${detectedFiles.indexOf(file)}`);
+  const label = checkbox?.closest('.file-item').querySelector('.file-size');
+  if (label) label.textContent = describeFileSize(file);
+  updateSelectionSize();
+}
+
+/**
+ * Size shown after a row's type, e.g. " · 12.4 MB"
+ */
+function describeFileSize(file) {
+  return file.size ? ` · ${formatBytes(file.size)}` : '';
+}
+
+/**
+ * Show the total size of the selected files, and hold back the download in block
+ * mode while it is over the size limit or sizes are still being looked up
+ * @returns {boolean} - Whether the selection is over the size limit
+ */
+function updateSelectionSize() {
+  const files = getVisibleCheckboxes()
+    .filter(cb => cb.checked)
+    .map(cb => detectedFiles[cb.dataset.index])
+    .filter(file => file.kind !== 'link' && !file.expanded);
+  const checking = files.filter(file => pendingSizes.has(file)).length;
+  const unknown = files.filter(file => typeof file.size !== 'number' && !pendingSizes.has(file)).length;
+  const total = files.reduce((sum, file) => sum + (file.size || 0), 0);
+  const over = sizeLimit.mode !== 'off' && total > sizeLimit.megabytes * 1024 * 1024;
+  
+  // Files of unknown size aren't in the total, so it is only a lower bound then
+  const parts = [`Selected: ${checking + unknown > 0 ? 'at least ' : ''}${formatBytes(total)}`];
+  if (checking > 0) parts.push(`checking ${checking} more`);
+  if (unknown > 0) parts.push(`${unknown} of unknown size`);
+  if (over) parts.push(`over your ${sizeLimit.megabytes} MB limit`);
+  
+  const element = document.getElementById('selectionSize');
+  element.textContent = files.length > 0 ? parts.join(' · ') : '';
+  element.classList.toggle('over', over);
+  
+  // Only a block set here is lifted here; updateDownloadButton clears the mark first
+  const btn = document.getElementById('downloadBtn');
+  if (sizeLimit.mode === 'block' && (over || checking > 0)) {
+    btn.disabled = true;
+    btn.dataset.sizeBlocked = 'true';
+  } else if (btn.dataset.sizeBlocked) {
+    btn.disabled = false;
+    delete btn.dataset.sizeBlocked;
+  }
+  return over;
+}
+
+// Latest name preview asked for; answers to older ones are dropped
+let namePreview = 0;
+
+/**
+ * Show the names the listed files will be saved under, as the background worker
+ * plans them, with a note on files the same-name policy or type filter affects
+ */
+async function previewCollisions() {
+  const request = ++namePreview;
+  const rows = [...document.querySelectorAll('#fileList .file-item')]
+    .filter(row => detectedFiles[row.querySelector('input').dataset.index].kind !== 'folder');
+  const attachments = rows.map(row => {
+    const checkbox = row.querySelector('input');
+    const attachment = toAttachment(detectedFiles[checkbox.dataset.index]);
+    return checkbox.checked && !row.hidden ? attachment : { ...attachment, unselected: true };
+  });
+  if (attachments.length === 0) return;
+  
+  let response;
+  try {
+    response = await browserAPI.runtime.sendMessage({ action: 'PLAN_FILENAMES', attachments });
+  } catch (error) {
+    console.warn('[ilovegcr] Could not plan file names:', error);
+    return;
+  }
+  if (request !== namePreview || !response.success) return;
+  
+  rows.forEach((row, source) => {
+    const planned = response.plan.filter(entry => entry.source === source);
+    if (planned.length === 0 || !row.isConnected) return;
+    row.querySelector('.file-name').textContent = planned.map(entry => entry.name).join(', ');
+    const note = row.querySelector('.file-note');
+    if (!note.textContent.startsWith('Could not list')) {
+      note.textContent = planned.map(entry => entry.note).find(Boolean) || '';
+    }
+  });
+}
+
+/**
+ * The attachment the background worker is sent for a listed file
+ */
+function toAttachment(file) {
+  const { treeRoot, treePath, ...attachment } = file;
+  // Browsed folder contents already have the section folder in their path
+  if (treeRoot) delete attachment.section;
+  return attachment;
 }
 
 /**
  * Download selected files
  */
 async function downloadSelected() {
-  const checkboxes = document.querySelectorAll('#fileList input[type="checkbox"]:checked');
+  // Rows hidden by the search or chips are not downloaded, even if checked
+  const checkboxes = getVisibleCheckboxes().filter(cb => cb.checked);
   const filesToDownload = [];
   
   checkboxes.forEach(cb => {
     const index = parseInt(cb.dataset.index);
-    if (detectedFiles[index]) {
-      filesToDownload.push(detectedFiles[index]);
+    if (detectedFiles[index] && !detectedFiles[index].expanded) {
+      filesToDownload.push(toAttachment(detectedFiles[index]));
     }
   });
   
   if (filesToDownload.length === 0) return;
   
   const btn = document.getElementById('downloadBtn');
+  if (updateSelectionSize() || btn.dataset.sizeBlocked) {
+    if (sizeLimit.mode === 'block') return;
+    // Warn mode: the first click only points out the size
+    if (!btn.dataset.confirming) {
+      btn.dataset.confirming = 'true';
+      btn.textContent = 'Over size limit, click again';
+      setTimeout(() => {
+        if (btn.dataset.confirming) updateDownloadButton();
+      }, 3000);
+      return;
+    }
+  }
   btn.disabled = true;
   btn.textContent = 'Downloading...';
   
@@ -292,18 +1169,30 @@ async function downloadSelected() {
     const response = await browserAPI.runtime.sendMessage({
       action: "DOWNLOAD_ATTACHMENTS",
       attachments: filesToDownload,
-      assignmentName: assignmentName
+      assignmentName: assignmentName,
+      options: {
+        zip: document.getElementById('zipToggle').checked,
+        incremental: document.getElementById('incrementalToggle').checked,
+        courseName,
+        // Only items with something selected get an assignment.md
+        details: assignmentDetails.filter(details =>
+          filesToDownload.some(file => (file.folder || null) === details.folder))
+      }
     });
     
     if (response.success) {
       const successCount = response.results.filter(r => r.success).length;
-      const failedCount = filesToDownload.length - successCount;
-      console.log(`[ilovegcr] Download complete: ${successCount} succeeded, ${failedCount} failed`);
+      // Results are per saved file, so a Google file exported twice counts twice
+      const failedCount = response.results.filter(r => !r.success).length;
+      console.log(`[ilovegcr] Downloads started: ${successCount} succeeded, ${failedCount} failed`);
       if (failedCount > 0) {
         console.error("[ilovegcr] Failed downloads:", response.results.filter(r => !r.success));
         console.error("[ilovegcr] CHECK CONSOLE FOR DETAILS - Some downloads failed");
       }
-      updateStatus(`Downloaded ${successCount}/${filesToDownload.length} files successfully`, 'success');
+      // Final status comes from the progress port once Chrome finishes writing files
+      if (!latestJob || latestJob.finishedAt) {
+        updateStatus(`Started ${successCount}/${response.results.length} downloads`, 'success');
+      }
     } else {
       console.error("[ilovegcr] Download failed:", response.error);
       console.error("[ilovegcr] CHECK CONSOLE FOR DETAILS - Download error");
@@ -316,73 +1205,352 @@ async function downloadSelected() {
     updateStatus(`Error: ${error.message}`, 'error');
   }
   
-  btn.disabled = false;
-  updateDownloadButton();
+  if (!latestJob || latestJob.finishedAt) {
+    btn.disabled = false;
+    updateDownloadButton();
+  }
 }
 
 /**
- * Refresh the current page
+ * Connect to the background worker to receive live job progress.
+ * Jobs keep running in the background, so a reopened popup picks up where it left off.
  */
-function refreshPage(tabId) {
-  browserAPI.tabs.reload(tabId);
-  window.close();
+function connectProgressPort() {
+  const port = browserAPI.runtime.connect({ name: "ilovegcr-progress" });
+  
+  port.onMessage.addListener((message) => {
+    if (message.type === "JOBS_SNAPSHOT") {
+      const job = message.jobs[message.jobs.length - 1];
+      if (job) renderJobProgress(job);
+    } else if (message.type === "JOB_UPDATE") {
+      renderJobProgress(message.job);
+    }
+  });
 }
 
 /**
- * Escape HTML to prevent XSS
+ * Show per-file state for a job on the matching rows, plus a summary line
  */
-function escapeHtml(text) {
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
+function renderJobProgress(job) {
+  latestJob = job;
+  
+  document.querySelectorAll('#fileList .file-item').forEach(row => {
+    // One row can map to several job files (one per export format, sheet or slide)
+    const files = job.files.filter(file => file.url === row.dataset.url);
+    if (files.length === 0) return;
+    
+    const file = files.find(entry => !['completed', 'skipped', 'failed'].includes(entry.state))
+      || files.find(entry => entry.state === 'failed')
+      || files[0];
+    const state = row.querySelector('.file-state');
+    const progress = row.querySelector('.file-progress');
+    const percent = file.totalBytes > 0 ? Math.min(100, Math.round(file.bytesReceived / file.totalBytes * 100)) : 0;
+    const done = files.filter(entry => ['completed', 'skipped'].includes(entry.state)).length;
+    const prefix = files.length > 1 ? `${done}/${files.length} files · ` : '';
+    
+    // Show the name from the server once it's known (card titles get truncated)
+    if (files.length === 1 && file.savedAs) {
+      const name = row.querySelector('.file-name');
+      name.textContent = file.savedAs;
+      name.title = file.savedAs;
+    }
+    
+    state.className = `file-state ${file.state}`;
+    state.textContent = prefix + describeFileState(file, percent);
+    progress.classList.toggle('active', file.state === 'downloading');
+    progress.querySelector('.file-progress-bar').style.width = `${percent}%`;
+  });
+  
+  const completed = job.files.filter(file => file.state === 'completed').length;
+  const failed = job.files.filter(file => file.state === 'failed').length;
+  const total = job.files.length;
+  
+  if (!job.finishedAt) {
+    updateStatus(`Downloading ${escapeHtml(job.assignmentName)}: ${completed}/${total} done${failed ? `, ${failed} failed` : ''}`, '');
+    const btn = document.getElementById('downloadBtn');
+    btn.disabled = true;
+    btn.textContent = 'Downloading...';
+  } else if (Date.now() - job.finishedAt < 60 * 1000) {
+    updateStatus(`Downloaded ${completed}/${total} files${failed ? ` (${failed} failed)` : ''}`, failed ? 'error' : 'success');
+    if (document.getElementById('fileListContainer').style.display !== 'none') {
+      updateDownloadButton();
+    }
+  }
 }
+
 /**
- * Load and display the current download path
+ * Human-readable state line for one file
  */
-async function loadDownloadPath() {
-  try {
-    const response = await browserAPI.runtime.sendMessage({ action: "GET_DOWNLOAD_PATH" });
-    const pathInput = document.getElementById('downloadPath');
-    if (pathInput) {
-      pathInput.value = response.path || "Downloads";
-      console.log("[ilovegcr] Loaded download path:", response.path);
+function describeFileState(file, percent) {
+  switch (file.state) {
+    case 'queued':
+      return 'Queued';
+    case 'resolving':
+      return 'Resolving download URL...';
+    case 'downloading': {
+      const size = file.totalBytes > 0
+        ? `${formatBytes(file.bytesReceived)} / ${formatBytes(file.totalBytes)} (${percent}%)`
+        : formatBytes(file.bytesReceived);
+      return file.speed > 0 ? `${size} · ${formatBytes(file.speed)}/s` : size;
     }
+    case 'retrying':
+      return `Waiting to retry: ${file.error}`;
+    case 'completed':
+      return '✓ Completed';
+    case 'skipped':
+      return `Skipped: ${file.error || 'unchanged since last download'}`;
+    case 'failed':
+      return `✗ Failed: ${file.error || 'unknown error'}`;
+    default:
+      return '';
+  }
+}
+
+/**
+ * Format a byte count for display
+ */
+function formatBytes(bytes) {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB'];
+  const exponent = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+  const value = bytes / Math.pow(1024, exponent);
+  return `${value.toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+}
+
+/**
+ * Wire up the Files/History tabs and the history controls, which work on any page
+ */
+function setUpHistory() {
+  document.querySelectorAll('.tab').forEach(tab => {
+    tab.addEventListener('click', () => showView(tab.dataset.view));
+  });
+  document.getElementById('historySearch').addEventListener('input', renderHistory);
+  document.getElementById('exportHistoryBtn').addEventListener('click', exportHistoryCsv);
+  document.getElementById('clearHistoryBtn').addEventListener('click', clearHistory);
+}
+
+/**
+ * Switch between the Files and History tabs
+ */
+function showView(view) {
+  document.querySelectorAll('.tab').forEach(tab => tab.classList.toggle('active', tab.dataset.view === view));
+  document.getElementById('status').style.display = view === 'files' ? 'block' : 'none';
+  document.getElementById('content').style.display = view === 'files' ? 'block' : 'none';
+  document.getElementById('history').style.display = view === 'history' ? 'block' : 'none';
+  if (view === 'history') loadHistory();
+}
+
+/**
+ * Fetch the download history from the background worker
+ */
+async function loadHistory() {
+  try {
+    const response = await browserAPI.runtime.sendMessage({ action: "GET_HISTORY" });
+    historyEntries = response.success ? response.history : [];
   } catch (error) {
-    console.error("[ilovegcr] Error loading download path:", error);
-    console.error("[ilovegcr] CHECK CONSOLE FOR DETAILS - Path loading error");
+    console.error("[ilovegcr] Error loading history:", error);
+    historyEntries = [];
+  }
+  renderHistory();
+}
+
+/**
+ * History entries matching the search box, across every recorded field
+ */
+function getFilteredHistory() {
+  const terms = document.getElementById('historySearch').value.toLowerCase().split(/\s+/).filter(Boolean);
+  return historyEntries.filter(entry => {
+    const text = [entry.filename, entry.assignment, entry.course, entry.path, entry.url, entry.result]
+      .filter(Boolean).join(' ').toLowerCase();
+    return terms.every(term => text.includes(term));
+  });
+}
+
+/**
+ * Render the history list with per-entry actions
+ */
+function renderHistory() {
+  const list = document.getElementById('historyList');
+  const entries = getFilteredHistory();
+  document.getElementById('historyCount').textContent = entries.length === historyEntries.length
+    ? `${historyEntries.length} downloads`
+    : `${entries.length} of ${historyEntries.length} downloads`;
+  
+  if (entries.length === 0) {
+    list.innerHTML = `<div class="history-empty">${historyEntries.length === 0 ? 'Nothing downloaded yet' : 'No matches'}</div>`;
+    return;
   }
+  
+  // Long histories render the newest entries only; searching narrows them down
+  list.innerHTML = entries.slice(0, 200).map(entry => `
+    <div class="history-item" data-id="${escapeHtml(entry.id)}">
+      <div class="file-info">
+        <div class="file-name" title="${escapeHtml(entry.path || entry.filename)}">${escapeHtml(entry.filename)}</div>
+        <div class="file-type">${escapeHtml([entry.course, entry.assignment].filter(Boolean).join(' › '))}</div>
+        <div class="file-type">
+          <span class="history-result ${entry.result}">${escapeHtml(describeHistoryResult(entry))}</span>
+          · ${new Date(entry.time).toLocaleString()}${entry.size ? ` · ${formatBytes(entry.size)}` : ''}
+        </div>
+      </div>
+      <div class="history-actions">
+        <button data-action="redownload" title="Download again">↻</button>
+        <button data-action="show" title="Show in folder" ${entry.downloadId === null ? 'disabled' : ''}>📁</button>
+        <button data-action="open" title="Open Classroom page" ${entry.pageUrl ? '' : 'disabled'}>↗</button>
+      </div>
+    </div>
+  `).join('');
+  
+  list.querySelectorAll('.history-actions button').forEach(button => {
+    button.addEventListener('click', () => runHistoryAction(button, button.closest('.history-item').dataset.id));
+  });
 }
 
 /**
- * Save the new download path
+ * Short result text for a history entry
  */
-async function saveDownloadPath() {
-  const pathInput = document.getElementById('downloadPath');
-  const statusDiv = document.getElementById('pathStatus');
-  const newPath = pathInput.value.trim();
+function describeHistoryResult(entry) {
+  if (entry.result === 'completed') return 'Saved';
+  if (entry.result === 'skipped') return entry.error ? `Skipped: ${entry.error}` : 'Unchanged';
+  return `Failed: ${entry.error || 'unknown error'}`;
+}
+
+/**
+ * Re-download, show in folder, or open the Classroom page of a history entry
+ */
+async function runHistoryAction(button, id) {
+  const entry = historyEntries.find(item => item.id === id);
+  if (!entry) return;
   
-  if (!newPath) {
-    statusDiv.textContent = "Path cannot be empty";
-    statusDiv.style.color = "#c5221f";
+  if (button.dataset.action === 'open') {
+    browserAPI.tabs.create({ url: entry.pageUrl });
     return;
   }
   
+  button.disabled = true;
   try {
-    console.log("[ilovegcr] Saving download path:", newPath);
-    await browserAPI.runtime.sendMessage({ 
-      action: "SET_DOWNLOAD_PATH", 
-      path: newPath 
-    });
-    console.log("[ilovegcr] Path saved successfully");
-    statusDiv.textContent = "✓ Path saved successfully";
-    statusDiv.style.color = "#137333";
+    const action = button.dataset.action === 'show' ? "SHOW_HISTORY_FILE" : "REDOWNLOAD_HISTORY";
+    const response = await browserAPI.runtime.sendMessage({ action, id });
+    if (!response.success) throw new Error(response.error);
+    if (action === "REDOWNLOAD_HISTORY") {
+      button.textContent = '✓';
+      // The new download is recorded once it finishes
+      setTimeout(loadHistory, 1000);
+    }
+  } catch (error) {
+    console.error("[ilovegcr] History action failed:", error);
+    button.title = error.message;
+    button.textContent = '⚠';
+  }
+  button.disabled = false;
+}
+
+/**
+ * Save the (searched) history as a CSV file
+ */
+function exportHistoryCsv() {
+  const columns = ['time', 'course', 'assignment', 'filename', 'url', 'pageUrl', 'path', 'size', 'result', 'error'];
+  const quote = (value) => {
+    let text = value === null || value === undefined ? '' : String(value);
+    // Keep spreadsheet apps from running a title as a formula
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const rows = getFilteredHistory().map(entry => columns.map(column =>
+    quote(column === 'time' ? new Date(entry.time).toISOString() : entry[column])).join(','));
+  
+  const blob = new Blob([[columns.join(','), ...rows].join('\r\n')], { type: 'text/csv' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = 'ilovegcr-history.csv';
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+/**
+ * Forget the whole history; the first click only asks for confirmation
+ */
+async function clearHistory() {
+  const button = document.getElementById('clearHistoryBtn');
+  if (!button.dataset.confirming) {
+    button.dataset.confirming = 'true';
+    button.textContent = 'Click again to clear';
     setTimeout(() => {
-      statusDiv.textContent = "";
+      delete button.dataset.confirming;
+      button.textContent = 'Clear';
     }, 3000);
+    return;
+  }
+  
+  try {
+    await browserAPI.runtime.sendMessage({ action: "CLEAR_HISTORY" });
+  } catch (error) {
+    console.error("[ilovegcr] Error clearing history:", error);
+  }
+  loadHistory();
+}
+
+/**
+ * Ask the content script which extraction strategies work on this page
+ */
+async function diagnosePage(tabId) {
+  const output = document.getElementById('diagnoseOutput');
+  document.getElementById('diagnoseReport').style.display = 'block';
+  output.textContent = 'Diagnosing...';
+  
+  try {
+    const response = await browserAPI.tabs.sendMessage(tabId, { action: "DIAGNOSE_PAGE" });
+    if (!response?.success) {
+      throw new Error(response?.error || 'No response from page');
+    }
+    output.textContent = JSON.stringify(response.report, null, 2);
+  } catch (error) {
+    console.error("[ilovegcr] Diagnosis failed:", error);
+    output.textContent = `Could not diagnose this page: ${error.message}\nTry refreshing the page.`;
+  }
+}
+
+/**
+ * Copy the diagnosis report for a bug report
+ */
+async function copyDiagnosis() {
+  const button = document.getElementById('copyDiagnoseBtn');
+  try {
+    await navigator.clipboard.writeText(document.getElementById('diagnoseOutput').textContent);
+    button.textContent = 'Copied';
+  } catch (error) {
+    button.textContent = 'Copy failed';
+  }
+  setTimeout(() => { button.textContent = 'Copy report'; }, 1500);
+}
+
+/**
+ * Refresh the current page
+ */
+function refreshPage(tabId) {
+  browserAPI.tabs.reload(tabId);
+  window.close();
+}
+
+/**
+ * Escape HTML to prevent XSS
+ */
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+/**
+ * Load the settings the file list depends on, and show where files will be saved
+ */
+async function loadSettings() {
+  try {
+    const response = await browserAPI.runtime.sendMessage({ action: "GET_SETTINGS" });
+    sizeLimit = response.settings.sizeLimit;
+    document.getElementById('settingsSummary').textContent =
+      `${response.settings.downloadRoot}/${response.settings.folderTemplate}/`;
+    if (detectedFiles.length > 0) updateSelectionSize();
   } catch (error) {
-    console.error("[ilovegcr] Error saving download path:", error);
-    console.error("[ilovegcr] CHECK CONSOLE FOR DETAILS - Path save error");
-    statusDiv.textContent = "Error saving path";
-    statusDiv.style.color = "#c5221f";
+    console.error("[ilovegcr] Error loading settings:", error);
   }
-}
\ No newline at end of file
+}